@@ -1,13 +1,968 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import axios from 'axios';
 import { useDropzone } from 'react-dropzone';
+import * as tus from 'tus-js-client';
 import './App.css';
 
 // ✅ FIX: Added '/api' to the end so it matches your backend routes
 const API_BASE_URL = 'https://vibeshare-nmmi.onrender.com/api';
 
+// Session token from /auth/login or /auth/register, sent as a Bearer header
+const TOKEN_KEY = 'vibeshare_token';
+
+// Invite links look like ?room=<name>&invite=<token>
+const inviteParams = new URLSearchParams(window.location.search);
+
+axios.interceptors.request.use((config) => {
+  const token = localStorage.getItem(TOKEN_KEY);
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+// Random id for client-side bookkeeping. crypto.randomUUID only exists in
+// secure contexts (https/localhost), so plain-http LAN dev needs a fallback.
+const randomId = () => window.crypto?.randomUUID?.() || `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+// One presence session per tab, so closing this tab doesn't sign the user
+// out of the room in their other tabs
+const SESSION_ID = randomId();
+
+// Presence: mark ourselves idle after this long without input (or while hidden)
+const IDLE_AFTER = 2 * 60 * 1000;
+// Resend "typing" at most this often while the user keeps typing
+const TYPING_REFRESH = 3000;
+
+// Role ranks mirror the server (models/Room.js): higher outranks lower
+const ROLE_RANK = { banned: -1, member: 1, moderator: 2, owner: 3 };
+
+// Fallbacks until the server's /upload/limits have loaded
+const DEFAULT_UPLOAD_LIMITS = {
+  maxFileSize: 15 * 1024 * 1024,
+  maxFiles: 10,
+  maxResumableSize: 100 * 1024 * 1024,
+  maxVideoSize: 100 * 1024 * 1024,
+  maxVideoDuration: 60,
+};
+
+const formatBytes = (bytes) => `${Math.round(bytes / 1024 / 1024)} MB`;
+
+// 75 -> "1:15"
+const formatDuration = (seconds) => {
+  const total = Math.round(seconds || 0);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+};
+
+// Saved download names by MIME type
+const FILE_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'video/mp4': 'mp4',
+  'video/quicktime': 'mov',
+  'video/webm': 'webm',
+};
+
+// How many files the client uploads at the same time
+const UPLOAD_CONCURRENCY = 3;
+
+// Files above this size go through the resumable (tus) endpoint in chunks
+const RESUMABLE_THRESHOLD = 5 * 1024 * 1024;
+const RESUMABLE_CHUNK_SIZE = 2 * 1024 * 1024;
+// Keep retrying a dropped connection for a few minutes before giving up
+const RESUMABLE_RETRY_DELAYS = [0, 1000, 3000, 5000, 10000, 20000, 30000, 60000, 60000, 60000];
+
+const UPLOAD_STATUS_LABELS = {
+  queued: 'Waiting...',
+  uploading: 'Uploading',
+  done: '✅ Uploaded',
+  failed: '❌ Failed',
+  cancelled: 'Cancelled',
+  duplicate: '🔁 Already here',
+};
+
+// Upload Queue Component - one row per file with progress, cancel and retry
+function UploadQueue({ items, onCancel, onRetry, onClear }) {
+  if (items.length === 0) return null;
+
+  return (
+    <div className="upload-queue">
+      {items.map((item) => (
+        <div key={item.id} className={`upload-queue-item ${item.status}`}>
+          <div className="upload-queue-row">
+            <span className="upload-queue-name">{item.name}</span>
+            <span className="upload-queue-status">
+              {item.status === 'uploading' ? `${item.progress}%` : UPLOAD_STATUS_LABELS[item.status]}
+            </span>
+            {(item.status === 'queued' || item.status === 'uploading') && (
+              <button className="upload-queue-action" onClick={() => onCancel(item)} title="Cancel">
+                ✕
+              </button>
+            )}
+            {(item.status === 'failed' || item.status === 'cancelled') && item.file && (
+              <button className="upload-queue-action" onClick={() => onRetry(item)} title="Retry">
+                🔄
+              </button>
+            )}
+          </div>
+          <div className="upload-queue-bar">
+            <div className="upload-queue-bar-fill" style={{ width: `${item.progress}%` }}></div>
+          </div>
+          {item.error && <p className="upload-queue-error">{item.error}</p>}
+        </div>
+      ))}
+      <button className="upload-queue-clear" onClick={onClear}>
+        Clear finished
+      </button>
+    </div>
+  );
+}
+
+// Near-duplicates share the id of the first photo of their group
+const similarGroupOf = (photo) => photo.similarTo || photo._id;
+
+// Parsed JSON body of a failed tus request, or {}
+const tusErrorBody = (err) => {
+  try {
+    return JSON.parse(err.originalResponse?.getBody()) || {};
+  } catch {
+    return {};
+  }
+};
+
+// Merge pages and live events into a list that stays sorted (by `field`,
+// a date) and unique by id
+const mergeDocuments = (current, incoming, newestFirst, field = 'createdAt') => {
+  const byId = new Map(current.map((doc) => [doc._id, doc]));
+  for (const doc of incoming) {
+    byId.set(doc._id, doc);
+  }
+  const direction = newestFirst ? -1 : 1;
+  return [...byId.values()].sort(
+    (a, b) => direction * (new Date(a[field]) - new Date(b[field]) || (a._id > b._id ? 1 : -1))
+  );
+};
+
+// Gallery shows newest first (by upload or capture time), chat reads top to bottom
+const mergePhotos = (current, incoming, field) => mergeDocuments(current, incoming, true, field);
+const mergeMessages = (current, incoming) => mergeDocuments(current, incoming, false);
+const mergeComments = (current, incoming) => mergeDocuments(current, incoming, false);
+
+// Same "<sort date ms>,<_id>" cursor format the server uses
+const cursorOf = (doc, field = 'createdAt') => `${new Date(doc[field]).getTime()},${doc._id}`;
+
+// The most recently uploaded photo, whatever order the gallery shows
+const latestUpload = (photos) =>
+  photos.reduce((latest, photo) => {
+    if (!latest) return photo;
+    const diff = new Date(photo.createdAt) - new Date(latest.createdAt);
+    return diff > 0 || (diff === 0 && photo._id > latest._id) ? photo : latest;
+  }, null);
+
+const PHOTO_PAGE_SIZE = 30;
+// While polling, every this many photo polls reloads the loaded window instead
+const PHOTO_RESYNC_EVERY = 5;
+const CHAT_PAGE_SIZE = 50;
+// How far back a search result may send the chat (pages of CHAT_PAGE_SIZE)
+const MAX_HISTORY_PAGES = 20;
+
+// Build a srcset from the resized variants a photo has (older photos have none)
+const buildSrcSet = (photo, variantNames, includeOriginal = false) => {
+  const entries = variantNames
+    .map((name) => photo.variants?.[name])
+    .filter((variant) => variant?.url)
+    .map((variant) => `${variant.url} ${variant.width}w`);
+
+  if (includeOriginal && photo.width) {
+    entries.push(`${photo.imageUrl} ${photo.width}w`);
+  }
+  return entries.length > 0 ? entries.join(', ') : undefined;
+};
+
+// Presence Helpers - typing and "viewing" indicators in the active users panel
+
+// "alice is typing…", "alice and bob are typing…", "3 people are typing…"
+const describeTyping = (usernames) => {
+  if (usernames.length === 1) return `${usernames[0]} is typing…`;
+  if (usernames.length === 2) return `${usernames[0]} and ${usernames[1]} are typing…`;
+  return `${usernames.length} people are typing…`;
+};
+
+// "👀 photo 3" in the active users panel; opens the same photo when clicked
+function ViewingHint({ photos, photoId, onOpen }) {
+  const index = photos.findIndex((p) => p._id === photoId);
+
+  if (index === -1) {
+    return <span className="user-viewing" title="Viewing a photo">👀</span>;
+  }
+
+  return (
+    <button
+      className="user-viewing"
+      onClick={() => onOpen(photos[index], index)}
+      title="Open the photo they're viewing"
+    >
+      👀 photo {index + 1}
+    </button>
+  );
+}
+
+// Gallery filters, sent as ?album=&tag=&user= (empty = no filter), plus
+// the ordering: ?sort=taken pages by capture time instead of upload time
+const EMPTY_PHOTO_FILTERS = { album: '', tag: '', user: '', sort: '' };
+
+const photoSortField = (filters) => (filters.sort === 'taken' ? 'takenAt' : 'createdAt');
+
+const filterParams = (filters) => Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+
+const matchesPhotoFilters = (photo, { album, tag, user }) =>
+  (!album || Boolean(photo.albums?.includes(album))) &&
+  (!tag || Boolean(photo.tags?.includes(tag))) &&
+  (!user || photo.username === user);
+
+// "Canon EOS R5 · f/2.8 · 1/250s · ISO 100 · 35mm" from whatever EXIF a photo has
+const describeCamera = (exif) => {
+  if (!exif) return '';
+
+  // Many makers repeat the brand in the model ("Canon" + "Canon EOS R5")
+  const camera = exif.model?.startsWith(exif.make || '') ? exif.model : [exif.make, exif.model].filter(Boolean).join(' ');
+  const exposure = exif.exposureTime && (exif.exposureTime < 1 ? `1/${Math.round(1 / exif.exposureTime)}s` : `${exif.exposureTime}s`);
+
+  return [
+    camera,
+    exif.fNumber && `f/${exif.fNumber}`,
+    exposure,
+    exif.iso && `ISO ${exif.iso}`,
+    exif.focalLength && `${Math.round(exif.focalLength)}mm`,
+  ]
+    .filter(Boolean)
+    .join(' · ');
+};
+
+// Corner badge for media that moves: "▶ 0:12" for videos, "GIF" for animations
+function MediaBadge({ photo }) {
+  if (photo.mediaType === 'video') {
+    return <span className="media-badge">▶ {formatDuration(photo.duration)}</span>;
+  }
+  if (photo.mediaType === 'animated') {
+    return <span className="media-badge">GIF</span>;
+  }
+  return null;
+}
+
+// Gallery tile. Videos (muted, looping) and animations play inline while
+// mostly on screen; otherwise only the still thumbnail is loaded.
+function CarouselMedia({ photo, alt }) {
+  const containerRef = useRef(null);
+  const [isVisible, setIsVisible] = useState(false);
+  const isMoving = photo.mediaType === 'video' || photo.mediaType === 'animated';
+
+  useEffect(() => {
+    if (!isMoving || !containerRef.current) return;
+
+    const observer = new IntersectionObserver(([entry]) => setIsVisible(entry.isIntersecting), { threshold: 0.6 });
+    observer.observe(containerRef.current);
+    return () => observer.disconnect();
+  }, [isMoving]);
+
+  const thumbnail = photo.variants?.thumbnail?.url || photo.imageUrl;
+
+  let media = (
+    <img
+      src={thumbnail}
+      srcSet={buildSrcSet(photo, ['thumbnail', 'medium'])}
+      sizes="250px"
+      alt={alt}
+      className="carousel-image"
+      loading="lazy"
+    />
+  );
+  if (isVisible && photo.mediaType === 'video') {
+    media = <video src={photo.imageUrl} poster={thumbnail} className="carousel-image" muted loop autoPlay playsInline />;
+  } else if (isVisible && photo.mediaType === 'animated') {
+    media = <img src={photo.imageUrl} alt={alt} className="carousel-image" />;
+  }
+
+  return (
+    <div ref={containerRef} className="carousel-media">
+      {media}
+      <MediaBadge photo={photo} />
+    </div>
+  );
+}
+
+// Album / tag / uploader filter bar above the owner groups
+function PhotoFilterBar({
+  albums,
+  tags,
+  users,
+  filters,
+  onChange,
+  onCreateAlbum,
+  canManageAlbum,
+  onDeleteAlbum,
+  onDownloadAll,
+  isSelecting,
+  onToggleSelecting,
+  collapseSimilar,
+  onToggleCollapseSimilar,
+}) {
+  const selectedAlbum = albums.find((a) => a._id === filters.album);
+  const isFiltered = Boolean(filters.album || filters.tag || filters.user);
+
+  return (
+    <div className="photo-filter-bar">
+      <div className="filter-row">
+        <span className="filter-label">🗂️ Albums</span>
+        <button
+          className={`filter-chip ${!filters.album ? 'active' : ''}`}
+          onClick={() => onChange({ ...filters, album: '' })}
+        >
+          All photos
+        </button>
+        {albums.map((album) => (
+          <button
+            key={album._id}
+            className={`filter-chip ${filters.album === album._id ? 'active' : ''}`}
+            onClick={() => onChange({ ...filters, album: album._id })}
+            title={album.description || album.name}
+          >
+            {album.name} <span className="filter-count">{album.photoCount}</span>
+          </button>
+        ))}
+        <button className="filter-chip filter-add" onClick={onCreateAlbum}>➕ New album</button>
+        {selectedAlbum && canManageAlbum(selectedAlbum) && (
+          <button className="filter-chip filter-delete" onClick={() => onDeleteAlbum(selectedAlbum)}>
+            🗑️ Delete album
+          </button>
+        )}
+      </div>
+
+      {tags.length > 0 && (
+        <div className="filter-row">
+          <span className="filter-label">🏷️ Tags</span>
+          {tags.map(({ tag, count }) => (
+            <button
+              key={tag}
+              className={`filter-chip ${filters.tag === tag ? 'active' : ''}`}
+              onClick={() => onChange({ ...filters, tag: filters.tag === tag ? '' : tag })}
+            >
+              #{tag} <span className="filter-count">{count}</span>
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className="filter-row">
+        <span className="filter-label">👤 Uploader</span>
+        <select
+          className="filter-select"
+          value={filters.user}
+          onChange={(e) => onChange({ ...filters, user: e.target.value })}
+        >
+          <option value="">Everyone</option>
+          {users.map((name) => (
+            <option key={name} value={name}>{name}</option>
+          ))}
+        </select>
+        <span className="filter-label">↕️ Order</span>
+        <select
+          className="filter-select"
+          value={filters.sort}
+          onChange={(e) => onChange({ ...filters, sort: e.target.value })}
+        >
+          <option value="">Upload time</option>
+          <option value="taken">Capture time</option>
+        </select>
+        {isFiltered && (
+          <button className="filter-chip" onClick={() => onChange({ ...EMPTY_PHOTO_FILTERS, sort: filters.sort })}>
+            ✕ Clear filters
+          </button>
+        )}
+        <span className="filter-actions">
+          <button
+            className={`filter-chip ${collapseSimilar ? 'active' : ''}`}
+            onClick={onToggleCollapseSimilar}
+            title="Show one photo per group of near-duplicates"
+          >
+            🧬 Collapse similar
+          </button>
+          <button className={`filter-chip ${isSelecting ? 'active' : ''}`} onClick={onToggleSelecting}>
+            ☑️ Select
+          </button>
+          <button className="filter-chip" onClick={onDownloadAll}>
+            📦 {isFiltered ? 'Download these' : 'Download all'}
+          </button>
+        </span>
+      </div>
+    </div>
+  );
+}
+
+// "3 photos and 1 message" - skipping zero counts
+const describeCounts = (counts) =>
+  Object.entries(counts)
+    .filter(([, count]) => count > 0)
+    .map(([noun, count]) => `${count} ${count === 1 ? noun.replace(/s$/, '') : noun}`)
+    .join(' and ');
+
+// Warning above the gallery while the room's retention policy is about to
+// delete content
+function RetentionBanner({ status, onDismiss }) {
+  if (!status) return null;
+
+  const { retention, expiringSoon, warningHours } = status;
+  if (expiringSoon.photos + expiringSoon.messages === 0) return null;
+
+  const policy = [
+    retention.photoDays && `photos after ${retention.photoDays} days`,
+    retention.chatDays && `chat after ${retention.chatDays} days`,
+  ]
+    .filter(Boolean)
+    .join(', ');
+
+  return (
+    <div className="retention-banner">
+      <span>
+        ⏳ {describeCounts(expiringSoon)} will be deleted within {warningHours} hours. This room deletes {policy} -
+        download anything you want to keep.
+      </span>
+      <button onClick={onDismiss} title="Dismiss">✕</button>
+    </div>
+  );
+}
+
+// Caption of the photo open in the lightbox, editable in place
+function PhotoCaption({ photo, canEdit, onSave }) {
+  const [draft, setDraft] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (await onSave(photo, draft)) {
+      setDraft(null);
+    }
+  };
+
+  if (draft !== null) {
+    return (
+      <form onSubmit={handleSubmit} className="photo-caption-form">
+        <textarea
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          placeholder="Write a caption"
+          maxLength={500}
+          rows={2}
+          autoFocus
+        />
+        <div>
+          <button type="submit">Save</button>
+          <button type="button" onClick={() => setDraft(null)}>Cancel</button>
+        </div>
+      </form>
+    );
+  }
+
+  if (!photo.caption && !canEdit) return null;
+
+  return (
+    <p className="photo-caption">
+      {photo.caption || <span className="photo-caption-empty">No caption</span>}
+      {canEdit && (
+        <button onClick={() => setDraft(photo.caption || '')} title="Edit caption">✏️</button>
+      )}
+    </p>
+  );
+}
+
+// Search box in the gallery header: photos (captions, tags) and chat
+// messages, optionally narrowed to one user and a date range
+const SEARCH_DELAY = 300;
+
+function RoomSearch({ roomName, users, onOpenPhoto, onOpenMessage }) {
+  const [query, setQuery] = useState('');
+  const [filters, setFilters] = useState({ user: '', from: '', to: '' });
+  const [results, setResults] = useState(null);
+  const [isOpen, setIsOpen] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const q = query.trim();
+    if (q.length < 2) {
+      setResults(null);
+      return;
+    }
+
+    // Debounced; a newer query cancels the request in flight
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      try {
+        const response = await axios.get(`${API_BASE_URL}/rooms/${encodeURIComponent(roomName)}/search`, {
+          params: { q, ...filterParams(filters) },
+          signal: controller.signal,
+        });
+        setResults(response.data);
+        setError('');
+      } catch (err) {
+        if (axios.isCancel(err)) return;
+        console.error('Search failed:', err);
+        setError(err.response?.data?.error || 'Search failed');
+      }
+    }, SEARCH_DELAY);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [query, filters, roomName]);
+
+  const pick = (open) => {
+    setIsOpen(false);
+    open();
+  };
+
+  const isEmpty = results && results.photos.length === 0 && results.messages.length === 0;
+
+  return (
+    <div className="room-search">
+      <input
+        type="search"
+        className="room-search-input"
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setIsOpen(true);
+        }}
+        onFocus={() => setIsOpen(true)}
+        onKeyDown={(e) => e.key === 'Escape' && setIsOpen(false)}
+        placeholder="🔎 Search photos and chat"
+        maxLength={100}
+      />
+      {isOpen && query.trim().length >= 2 && (
+        <div className="room-search-panel">
+          <div className="room-search-filters">
+            <select value={filters.user} onChange={(e) => setFilters({ ...filters, user: e.target.value })}>
+              <option value="">Anyone</option>
+              {users.map((name) => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+            </select>
+            <input
+              type="date"
+              value={filters.from}
+              onChange={(e) => setFilters({ ...filters, from: e.target.value })}
+              title="From"
+            />
+            <input
+              type="date"
+              value={filters.to}
+              onChange={(e) => setFilters({ ...filters, to: e.target.value })}
+              title="To"
+            />
+            <button onClick={() => setIsOpen(false)} title="Close">✕</button>
+          </div>
+
+          {error && <p className="room-search-empty">{error}</p>}
+          {!results && !error && <p className="room-search-empty">Searching…</p>}
+          {isEmpty && <p className="room-search-empty">No matches</p>}
+
+          {results?.photos.length > 0 && (
+            <div className="room-search-section">
+              <span className="room-search-heading">📸 Photos</span>
+              {results.photos.map((photo) => (
+                <button key={photo._id} className="room-search-result" onClick={() => pick(() => onOpenPhoto(photo))}>
+                  <img src={photo.variants?.thumbnail?.url || photo.imageUrl} alt="" />
+                  <span>
+                    <strong>{photo.username}</strong> {photo.caption || photo.tags?.map((t) => `#${t}`).join(' ')}
+                  </span>
+                </button>
+              ))}
+            </div>
+          )}
+
+          {results?.messages.length > 0 && (
+            <div className="room-search-section">
+              <span className="room-search-heading">💬 Messages</span>
+              {results.messages.map((msg) => (
+                <button key={msg._id} className="room-search-result" onClick={() => pick(() => onOpenMessage(msg))}>
+                  <span>
+                    <strong>{msg.username}</strong> {msg.message}
+                    <span className="room-search-date">{new Date(msg.createdAt).toLocaleDateString()}</span>
+                  </span>
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Tags and albums of the photo open in the lightbox
+function PhotoLabels({ photo, albums, canEditTags, onSetTags, onAddToAlbum, canRemoveFromAlbum, onRemoveFromAlbum, onFilterTag }) {
+  const [tagInput, setTagInput] = useState('');
+  const tags = photo.tags || [];
+  const photoAlbums = albums.filter((a) => photo.albums?.includes(a._id));
+  const otherAlbums = albums.filter((a) => !photo.albums?.includes(a._id));
+
+  const handleAddTag = async (e) => {
+    e.preventDefault();
+    const tag = tagInput.trim();
+    if (!tag) return;
+    if (await onSetTags(photo, [...tags, tag])) {
+      setTagInput('');
+    }
+  };
+
+  return (
+    <div className="photo-labels">
+      <div className="photo-label-row">
+        {tags.map((tag) => (
+          <span key={tag} className="photo-tag">
+            <button onClick={() => onFilterTag(tag)} title={`Show photos tagged #${tag}`}>#{tag}</button>
+            {canEditTags && (
+              <button onClick={() => onSetTags(photo, tags.filter((t) => t !== tag))} title="Remove tag">✕</button>
+            )}
+          </span>
+        ))}
+        {canEditTags && (
+          <form onSubmit={handleAddTag} className="photo-tag-form">
+            <input
+              type="text"
+              value={tagInput}
+              onChange={(e) => setTagInput(e.target.value)}
+              placeholder="Add tag"
+              maxLength={30}
+            />
+          </form>
+        )}
+      </div>
+      <div className="photo-label-row">
+        {photoAlbums.map((album) => (
+          <span key={album._id} className="photo-album">
+            🗂️ {album.name}
+            {canRemoveFromAlbum(photo, album) && (
+              <button onClick={() => onRemoveFromAlbum(photo, album)} title="Remove from album">✕</button>
+            )}
+          </span>
+        ))}
+        {otherAlbums.length > 0 && (
+          <select
+            className="filter-select"
+            value=""
+            onChange={(e) => e.target.value && onAddToAlbum(photo, e.target.value)}
+          >
+            <option value="">➕ Add to album…</option>
+            {otherAlbums.map((album) => (
+              <option key={album._id} value={album._id}>{album.name}</option>
+            ))}
+          </select>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Most photos one "Download selected" may name (MAX_DOWNLOAD_SELECTION on the server)
+const MAX_DOWNLOAD_SELECTION = 500;
+
+// Photos one chat message can carry (mirrors MAX_ATTACHMENTS on the server)
+const MAX_CHAT_ATTACHMENTS = 4;
+
+// Quick picks in the lightbox; any emoji the server accepts still shows up
+const REACTION_CHOICES = ['❤️', '😂', '😮', '😢', '🔥', '👍'];
+
+const reactionCount = (photo) => (photo.reactions || []).reduce((sum, r) => sum + r.usernames.length, 0);
+
+function ReactionBar({ reactions = [], username, onToggle }) {
+  const emojis = [...REACTION_CHOICES, ...reactions.map((r) => r.emoji).filter((e) => !REACTION_CHOICES.includes(e))];
+
+  return (
+    <div className="reaction-bar">
+      {emojis.map((emoji) => {
+        const reaction = reactions.find((r) => r.emoji === emoji);
+        const reacted = Boolean(reaction?.usernames.includes(username));
+        return (
+          <button
+            key={emoji}
+            className={`reaction-button ${reacted ? 'reacted' : ''}`}
+            onClick={() => onToggle(emoji)}
+            title={reaction ? reaction.usernames.join(', ') : 'React'}
+          >
+            {emoji}
+            {reaction && <span className="reaction-count">{reaction.usernames.length}</span>}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
+
+// Renders the replies to `parentId`, each followed by its own replies
+function CommentThread({ comments, parentId, depth, onReply, canDelete, onDelete }) {
+  const children = comments.filter((c) => (c.parentId || null) === parentId);
+  if (children.length === 0) return null;
+
+  return (
+    <ul className={`comment-thread ${depth > 0 ? 'replies' : ''}`}>
+      {children.map((comment) => (
+        <li key={comment._id} className="comment">
+          <div className="comment-header">
+            <span className="comment-author">{comment.username}</span>
+            <span className="comment-time">
+              {new Date(comment.createdAt).toLocaleString('en-US', {
+                month: 'short',
+                day: 'numeric',
+                hour: '2-digit',
+                minute: '2-digit',
+              })}
+            </span>
+          </div>
+          <p className="comment-text">{comment.text}</p>
+          <div className="comment-actions">
+            <button onClick={() => onReply(comment)}>↩️ Reply</button>
+            {canDelete(comment) && <button onClick={() => onDelete(comment)}>🗑️ Delete</button>}
+          </div>
+          <CommentThread
+            comments={comments}
+            parentId={comment._id}
+            depth={depth + 1}
+            onReply={onReply}
+            canDelete={canDelete}
+            onDelete={onDelete}
+          />
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+function PhotoComments({ comments, isLoading, onAdd, canDelete, onDelete, disabled }) {
+  const [text, setText] = useState('');
+  const [replyTo, setReplyTo] = useState(null);
+  const [isPosting, setIsPosting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!text.trim()) return;
+
+    setIsPosting(true);
+    if (await onAdd(text, replyTo?._id)) {
+      setText('');
+      setReplyTo(null);
+    }
+    setIsPosting(false);
+  };
+
+  return (
+    <aside className="lightbox-comments">
+      <h3 className="comments-title">💬 Comments ({comments.length})</h3>
+      <div className="comments-list">
+        {isLoading && comments.length === 0 ? (
+          <div className="spinner"></div>
+        ) : comments.length > 0 ? (
+          <CommentThread
+            comments={comments}
+            parentId={null}
+            depth={0}
+            onReply={setReplyTo}
+            canDelete={canDelete}
+            onDelete={onDelete}
+          />
+        ) : (
+          <p className="no-comments">No comments yet</p>
+        )}
+      </div>
+      <form onSubmit={handleSubmit} className="comment-form">
+        {replyTo && (
+          <div className="comment-replying">
+            Replying to <strong>{replyTo.username}</strong>
+            <button type="button" onClick={() => setReplyTo(null)} title="Cancel reply">✕</button>
+          </div>
+        )}
+        <input
+          type="text"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          placeholder={disabled ? 'You are muted' : replyTo ? 'Write a reply...' : 'Add a comment...'}
+          className="chat-input"
+          maxLength={1000}
+          disabled={disabled || isPosting}
+        />
+        <button type="submit" className="chat-send-button" disabled={disabled || isPosting || !text.trim()}>
+          {isPosting ? '⏳' : '📤'}
+        </button>
+      </form>
+    </aside>
+  );
+}
+
+// Highlight @mentions the server recognised (msg.mentions); yours stand out
+const renderMentions = (text, mentions = [], username) =>
+  text.split(/(@[A-Za-z0-9_.-]{3,30})/g).map((part, i) => {
+    const name = part.startsWith('@') ? part.slice(1).replace(/\.+$/, '') : null;
+    if (!name || !mentions.includes(name)) return part;
+    return (
+      <React.Fragment key={i}>
+        <span className={`mention ${name === username ? 'mention-me' : ''}`}>@{name}</span>
+        {part.slice(name.length + 1)}
+      </React.Fragment>
+    );
+  });
+
+function ChatMessage({
+  msg,
+  username,
+  canEdit,
+  canDelete,
+  onReply,
+  onEdit,
+  onDelete,
+  onToggleReaction,
+  onJumpTo,
+  onOpenPhoto,
+}) {
+  const [isPickerOpen, setIsPickerOpen] = useState(false);
+  const [history, setHistory] = useState(null);
+
+  const toggleHistory = async () => {
+    if (history) {
+      setHistory(null);
+      return;
+    }
+    try {
+      const response = await axios.get(`${API_BASE_URL}/chat/${msg._id}/history`);
+      setHistory(response.data.edits);
+    } catch (err) {
+      console.error('Failed to fetch edit history:', err);
+    }
+  };
+
+  const isOwn = msg.username === username;
+  const mentionsMe = msg.mentions?.includes(username);
+
+  return (
+    <div
+      id={`message-${msg._id}`}
+      className={`chat-message ${isOwn ? 'own' : 'other'} ${mentionsMe ? 'mentions-me' : ''}`}
+    >
+      <div className="message-header">
+        <span className="message-author">{msg.username}</span>
+        <span className="message-time">
+          {new Date(msg.createdAt).toLocaleTimeString('en-US', {
+            hour: '2-digit',
+            minute: '2-digit',
+          })}
+          {msg.editedAt && (
+            <button className="message-edited" onClick={toggleHistory} title="Show edit history">
+              (edited)
+            </button>
+          )}
+        </span>
+      </div>
+      {msg.replyTo && (
+        <button className="message-quote" onClick={() => onJumpTo(msg.replyTo._id)}>
+          <span className="message-quote-author">↩️ {msg.replyTo.username}</span>
+          <span className="message-quote-text">{msg.replyTo.message || '📷 Photo'}</span>
+        </button>
+      )}
+      {msg.message && <div className="message-content">{renderMentions(msg.message, msg.mentions, username)}</div>}
+      {msg.attachments?.length > 0 && (
+        <div className="message-attachments">
+          {msg.attachments.map((photo) => (
+            <button key={photo._id} className="message-attachment" onClick={() => onOpenPhoto(photo)}>
+              <img
+                src={photo.variants?.thumbnail?.url || photo.imageUrl}
+                alt={`Shared by ${photo.username}`}
+                loading="lazy"
+              />
+              <MediaBadge photo={photo} />
+            </button>
+          ))}
+        </div>
+      )}
+      {history && (
+        <ul className="message-history">
+          {history.map((edit, i) => (
+            <li key={i}>
+              <span className="message-time">{new Date(edit.editedAt).toLocaleString()}</span> {edit.message}
+            </li>
+          ))}
+        </ul>
+      )}
+      {msg.reactions?.length > 0 && (
+        <div className="message-reactions">
+          {msg.reactions.map((reaction) => (
+            <button
+              key={reaction.emoji}
+              className={`reaction-button ${reaction.usernames.includes(username) ? 'reacted' : ''}`}
+              onClick={() => onToggleReaction(msg, reaction.emoji)}
+              title={reaction.usernames.join(', ')}
+            >
+              {reaction.emoji}
+              <span className="reaction-count">{reaction.usernames.length}</span>
+            </button>
+          ))}
+        </div>
+      )}
+      {isPickerOpen && (
+        <div className="message-reaction-picker">
+          {REACTION_CHOICES.map((emoji) => (
+            <button
+              key={emoji}
+              onClick={() => {
+                onToggleReaction(msg, emoji);
+                setIsPickerOpen(false);
+              }}
+            >
+              {emoji}
+            </button>
+          ))}
+        </div>
+      )}
+      <div className="message-actions">
+        <button onClick={() => setIsPickerOpen((open) => !open)} title="React">😀</button>
+        <button onClick={() => onReply(msg)} title="Reply">↩️</button>
+        {canEdit && <button onClick={() => onEdit(msg)} title="Edit message">✏️</button>}
+        {canDelete && <button onClick={() => onDelete(msg._id)} title="Delete message">🗑️</button>}
+      </div>
+    </div>
+  );
+}
+
 // Lightbox Modal Component
-function LightboxModal({ isOpen, photo, onClose, onPrevious, onNext, onDownload, isDownloading }) {
+function LightboxModal({
+  isOpen,
+  photo,
+  onClose,
+  onPrevious,
+  onNext,
+  onDownload,
+  isDownloading,
+  canDelete,
+  onDelete,
+  isDeleting,
+  username,
+  onToggleReaction,
+  comments,
+  isLoadingComments,
+  onAddComment,
+  canDeleteComment,
+  onDeleteComment,
+  isMuted,
+  onShareInChat,
+  albums,
+  canEditTags,
+  onSetTags,
+  canEditCaption,
+  onSetCaption,
+  onAddToAlbum,
+  canRemoveFromAlbum,
+  onRemoveFromAlbum,
+  onFilterTag,
+}) {
   if (!isOpen || !photo) return null;
 
   const handleDownloadClick = async () => {
@@ -21,9 +976,29 @@ function LightboxModal({ isOpen, photo, onClose, onPrevious, onNext, onDownload,
         <button className="lightbox-prev" onClick={onPrevious}>‹</button>
         
         <div className="lightbox-content">
-          <img src={photo.imageUrl} alt={photo.username} className="lightbox-image" />
+          {photo.mediaType === 'video' ? (
+            <video
+              key={photo._id}
+              src={photo.imageUrl}
+              poster={photo.variants?.poster?.url || photo.variants?.medium?.url}
+              className="lightbox-image"
+              controls
+              autoPlay
+              playsInline
+            />
+          ) : (
+            <img
+              // Resized variants are single still frames, so animations show the original
+              src={photo.mediaType === 'animated' ? photo.imageUrl : photo.variants?.medium?.url || photo.imageUrl}
+              srcSet={photo.mediaType === 'animated' ? undefined : buildSrcSet(photo, ['medium'], true)}
+              sizes="80vw"
+              alt={photo.username}
+              className="lightbox-image"
+            />
+          )}
           <div className="lightbox-info">
             <p className="lightbox-username">📸 by {photo.username}</p>
+            <PhotoCaption key={photo._id} photo={photo} canEdit={canEditCaption} onSave={onSetCaption} />
             <p className="lightbox-date">
               {new Date(photo.createdAt).toLocaleString('en-US', {
                 month: 'short',
@@ -32,6 +1007,20 @@ function LightboxModal({ isOpen, photo, onClose, onPrevious, onNext, onDownload,
                 minute: '2-digit',
               })}
             </p>
+            {photo.exif?.capturedAt && (
+              <p className="lightbox-exif">
+                🕒 Taken{' '}
+                {new Date(photo.exif.capturedAt).toLocaleString('en-US', {
+                  year: 'numeric',
+                  month: 'short',
+                  day: 'numeric',
+                  hour: '2-digit',
+                  minute: '2-digit',
+                })}
+              </p>
+            )}
+            {describeCamera(photo.exif) && <p className="lightbox-exif">📷 {describeCamera(photo.exif)}</p>}
+            {photo.similarTo && <p className="lightbox-exif">🧬 Looks like a near-duplicate of another photo</p>}
             <button 
               className="lightbox-download" 
               onClick={handleDownloadClick}
@@ -39,9 +1028,49 @@ function LightboxModal({ isOpen, photo, onClose, onPrevious, onNext, onDownload,
             >
               {isDownloading ? '⏳ Downloading...' : '⬇️ Download'}
             </button>
+            {!isMuted && (
+              <button className="lightbox-share" onClick={() => onShareInChat(photo)}>
+                💬 Share in chat
+              </button>
+            )}
+            {canDelete && (
+              <button
+                className="lightbox-delete"
+                onClick={() => onDelete(photo)}
+                disabled={isDeleting}
+              >
+                {isDeleting ? '⏳ Deleting...' : '🗑️ Delete'}
+              </button>
+            )}
+            <ReactionBar
+              reactions={photo.reactions}
+              username={username}
+              onToggle={(emoji) => onToggleReaction(photo, emoji)}
+            />
+            <PhotoLabels
+              key={photo._id}
+              photo={photo}
+              albums={albums}
+              canEditTags={canEditTags}
+              onSetTags={onSetTags}
+              onAddToAlbum={onAddToAlbum}
+              canRemoveFromAlbum={canRemoveFromAlbum}
+              onRemoveFromAlbum={onRemoveFromAlbum}
+              onFilterTag={onFilterTag}
+            />
           </div>
         </div>
 
+        <PhotoComments
+          key={photo._id}
+          comments={comments}
+          isLoading={isLoadingComments}
+          onAdd={(text, parentId) => onAddComment(photo, text, parentId)}
+          canDelete={canDeleteComment}
+          onDelete={(comment) => onDeleteComment(photo, comment)}
+          disabled={isMuted}
+        />
+
         <button className="lightbox-next" onClick={onNext}>›</button>
       </div>
     </div>
@@ -49,142 +1078,1093 @@ function LightboxModal({ isOpen, photo, onClose, onPrevious, onNext, onDownload,
 }
 
 function App() {
+  const [account, setAccount] = useState(null);
+  const [authMode, setAuthMode] = useState('login');
   const [user, setUser] = useState(null);
   const [username, setUsername] = useState('');
-  const [roomName, setRoomName] = useState('');
+  const [password, setPassword] = useState('');
+  const [isAuthenticating, setIsAuthenticating] = useState(false);
+  const [roomName, setRoomName] = useState(inviteParams.get('room') || '');
+  const [roomPassword, setRoomPassword] = useState('');
+  const [roomMode, setRoomMode] = useState('join');
+  const [roomPrivate, setRoomPrivate] = useState(false);
+  const [inviteToken, setInviteToken] = useState(inviteParams.get('invite') || '');
+  const [isEnteringRoom, setIsEnteringRoom] = useState(false);
+  const [room, setRoom] = useState(null);
+  const [members, setMembers] = useState({});
   const [photos, setPhotos] = useState([]);
+  const [olderPhotosCursor, setOlderPhotosCursor] = useState(null);
+  const [hasMorePhotos, setHasMorePhotos] = useState(false);
+  const [isLoadingOlderPhotos, setIsLoadingOlderPhotos] = useState(false);
+  const [photoFilters, setPhotoFilters] = useState(EMPTY_PHOTO_FILTERS);
+  const [albums, setAlbums] = useState([]);
+  const [isSelectingPhotos, setIsSelectingPhotos] = useState(false);
+  const [pendingJumpId, setPendingJumpId] = useState(null);
+  const [retentionStatus, setRetentionStatus] = useState(null);
+  const [isRetentionDismissed, setIsRetentionDismissed] = useState(false);
+  const [collapseSimilar, setCollapseSimilar] = useState(false);
+  const [selectedPhotoIds, setSelectedPhotoIds] = useState([]);
+  const [roomTags, setRoomTags] = useState([]);
+  // Latest photos for callbacks created in earlier renders (intervals, events)
+  const photosRef = useRef(photos);
+  photosRef.current = photos;
+  const photoFiltersRef = useRef(photoFilters);
+  photoFiltersRef.current = photoFilters;
+  const loadMoreRef = useRef(null);
   const [activeUsers, setActiveUsers] = useState([]);
-  const [uploading, setUploading] = useState(false);
+  const [uploadQueue, setUploadQueue] = useState([]);
+  const uploadControllers = useRef({});
+  const cancelledUploads = useRef(new Set());
+  const [uploadLimits, setUploadLimits] = useState(DEFAULT_UPLOAD_LIMITS);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
   const [lightboxOpen, setLightboxOpen] = useState(false);
   const [selectedPhoto, setSelectedPhoto] = useState(null);
   const [selectedPhotoIndex, setSelectedPhotoIndex] = useState(0);
   const [isDownloading, setIsDownloading] = useState(false);
+  const [isDeletingPhoto, setIsDeletingPhoto] = useState(false);
+  const [comments, setComments] = useState([]);
+  const [commentsPhotoId, setCommentsPhotoId] = useState(null);
+  const [isLoadingComments, setIsLoadingComments] = useState(false);
   const [messages, setMessages] = useState([]);
+  const [olderMessagesCursor, setOlderMessagesCursor] = useState(null);
+  const [hasOlderMessages, setHasOlderMessages] = useState(false);
+  const [isLoadingOlderMessages, setIsLoadingOlderMessages] = useState(false);
+  const messagesRef = useRef(messages);
+  messagesRef.current = messages;
   const [messageInput, setMessageInput] = useState('');
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [editingMessage, setEditingMessage] = useState(null);
+  // Photos to send with the next message: { id, photoId, preview, status: 'uploading' | 'ready' | 'failed' }
+  const [chatAttachments, setChatAttachments] = useState([]);
+  const chatFileInputRef = useRef(null);
   const [isChatOpen, setIsChatOpen] = useState(true);
   const [isSendingMessage, setIsSendingMessage] = useState(false);
+  const [typingUsers, setTypingUsers] = useState([]);
+  const typingTimers = useRef({});
+  const lastTypingSent = useRef(0);
 
-  // Fetch photos when user joins a room
+  // Restore the session from a stored token and drop it once it expires
   useEffect(() => {
-    if (user) {
-      // Join the room
-      joinRoom();
-      
-      // Fetch photos, users, and messages
-      fetchPhotos();
-      fetchActiveUsers();
-      fetchMessages();
-      
-      // Setup intervals for polling
-      const photosInterval = setInterval(fetchPhotos, 3000);
-      const usersInterval = setInterval(fetchActiveUsers, 2000);
-      const messagesInterval = setInterval(fetchMessages, 2000);
-      const heartbeatInterval = setInterval(() => sendHeartbeat(user.roomName, user.username), 10000);
-      
+    const interceptor = axios.interceptors.response.use(
+      (response) => response,
+      (err) => {
+        if (err.response?.status === 401 && localStorage.getItem(TOKEN_KEY)) {
+          localStorage.removeItem(TOKEN_KEY);
+          setAccount(null);
+          setUser(null);
+          setError('Your session has expired, please log in again');
+        }
+        return Promise.reject(err);
+      }
+    );
+
+    if (localStorage.getItem(TOKEN_KEY)) {
+      axios
+        .get(`${API_BASE_URL}/auth/me`)
+        .then((response) => setAccount(response.data.user))
+        .catch((err) => console.error('Failed to restore session:', err));
+    }
+
+    axios
+      .get(`${API_BASE_URL}/upload/limits`)
+      .then((response) => setUploadLimits(response.data))
+      .catch((err) => console.error('Failed to fetch upload limits:', err));
+
+    return () => axios.interceptors.response.eject(interceptor);
+  }, []);
+
+  // Fetch photos when user joins a room
+  useEffect(() => {
+    if (user) {
+      // Join the room
+      joinRoom();
+      
+      // Fetch photos, users, and messages
+      fetchRoomState();
+
+      // Polling is only a fallback for when the event stream can't connect
+      let pollingIntervals = [];
+
+      const startPolling = () => {
+        if (pollingIntervals.length > 0) return;
+        console.log('⚠️ Event stream unavailable, falling back to polling');
+        fetchRoomState();
+        let photoPolls = 0;
+        pollingIntervals = [
+          setInterval(() => (++photoPolls % PHOTO_RESYNC_EVERY === 0 ? resyncPhotos() : fetchPhotos()), 3000),
+          setInterval(fetchActiveUsers, 2000),
+          setInterval(fetchMessages, 2000),
+          setInterval(() => sendHeartbeat(), 10000),
+        ];
+      };
+
+      const stopPolling = () => {
+        pollingIntervals.forEach(clearInterval);
+        pollingIntervals = [];
+      };
+
+      if (typeof window.EventSource === 'undefined') {
+        startPolling();
+        return stopPolling;
+      }
+
+      const events = new EventSource(
+        `${API_BASE_URL}/events/${encodeURIComponent(user.roomName)}?token=${encodeURIComponent(localStorage.getItem(TOKEN_KEY))}&session=${encodeURIComponent(SESSION_ID)}`
+      );
+
+      events.onopen = () => {
+        console.log('📡 Subscribed to room events');
+        stopPolling();
+        // Catch up on anything missed while disconnected
+        fetchRoomState();
+      };
+
+      events.onerror = () => {
+        startPolling();
+      };
+
+      events.addEventListener('photo:uploaded', (e) => {
+        const photo = JSON.parse(e.data);
+        if (matchesPhotoFilters(photo, photoFiltersRef.current)) {
+          setPhotos((prev) => mergePhotos(prev, [photo], photoSortField(photoFiltersRef.current)));
+        }
+      });
+
+      // Album/tag changes: update loaded photos, dropping any that no longer match the filters
+      events.addEventListener('photos:updated', (e) => {
+        const { photos: updates } = JSON.parse(e.data);
+        const byId = new Map(updates.map((u) => [u._id, u]));
+        setPhotos((prev) =>
+          prev
+            .map((p) => (byId.has(p._id) ? { ...p, ...byId.get(p._id) } : p))
+            .filter((p) => !byId.has(p._id) || matchesPhotoFilters(p, photoFiltersRef.current))
+        );
+        fetchAlbums();
+        fetchTags();
+      });
+
+      events.addEventListener('room:retention', (e) => {
+        setRetentionStatus(JSON.parse(e.data));
+        setIsRetentionDismissed(false);
+      });
+
+      events.addEventListener('album:created', (e) => {
+        const album = JSON.parse(e.data);
+        setAlbums((prev) => [...prev.filter((a) => a._id !== album._id), album]);
+      });
+
+      events.addEventListener('album:updated', (e) => {
+        const album = JSON.parse(e.data);
+        setAlbums((prev) => prev.map((a) => (a._id === album._id ? { ...a, ...album } : a)));
+      });
+
+      events.addEventListener('album:deleted', (e) => {
+        const { _id } = JSON.parse(e.data);
+        setAlbums((prev) => prev.filter((a) => a._id !== _id));
+        setPhotos((prev) => prev.map((p) => ({ ...p, albums: (p.albums || []).filter((id) => id !== _id) })));
+        setPhotoFilters((prev) => (prev.album === _id ? { ...prev, album: '' } : prev));
+      });
+
+      events.addEventListener('photo:deleted', (e) => {
+        const { _id } = JSON.parse(e.data);
+        removePhotoLocally(_id);
+      });
+
+      events.addEventListener('photo:reactions', (e) => {
+        const { photoId, reactions } = JSON.parse(e.data);
+        setPhotos((prev) => prev.map((p) => (p._id === photoId ? { ...p, reactions } : p)));
+      });
+
+      // The open photo's count follows its loaded thread (see below);
+      // other photos just adjust their counts
+      events.addEventListener('comment:added', (e) => {
+        const comment = JSON.parse(e.data);
+        if (comment.photoId === viewingPhotoRef.current) {
+          setComments((prev) => mergeComments(prev, [comment]));
+        } else {
+          adjustCommentCount(comment.photoId, 1);
+        }
+      });
+
+      events.addEventListener('comment:deleted', (e) => {
+        const { photoId, _ids } = JSON.parse(e.data);
+        if (photoId === viewingPhotoRef.current) {
+          setComments((prev) => prev.filter((c) => !_ids.includes(c._id)));
+        } else {
+          adjustCommentCount(photoId, -_ids.length);
+        }
+      });
+
+      events.addEventListener('chat:sent', (e) => {
+        const chat = JSON.parse(e.data);
+        setMessages((prev) => mergeMessages(prev, [chat]));
+        clearTyping(chat.username);
+      });
+
+      events.addEventListener('chat:updated', (e) => {
+        const chat = JSON.parse(e.data);
+        setMessages((prev) => mergeMessages(prev, [chat]));
+      });
+
+      events.addEventListener('chat:reactions', (e) => {
+        const { messageId, reactions } = JSON.parse(e.data);
+        setMessages((prev) => prev.map((m) => (m._id === messageId ? { ...m, reactions } : m)));
+      });
+
+      events.addEventListener('chat:deleted', (e) => {
+        const { _id } = JSON.parse(e.data);
+        setMessages((prev) => prev.filter((m) => m._id !== _id));
+      });
+
+      events.addEventListener('user:joined', (e) => {
+        const joined = JSON.parse(e.data);
+        setActiveUsers((prev) => [...prev.filter((u) => u.username !== joined.username), joined]);
+      });
+
+      events.addEventListener('user:updated', (e) => {
+        const updated = JSON.parse(e.data);
+        setActiveUsers((prev) => prev.map((u) => (u.username === updated.username ? updated : u)));
+      });
+
+      events.addEventListener('user:left', (e) => {
+        const { username } = JSON.parse(e.data);
+        setActiveUsers((prev) => prev.filter((u) => u.username !== username));
+        clearTyping(username);
+      });
+
+      events.addEventListener('user:typing', (e) => {
+        const { username, isTyping, expiresIn } = JSON.parse(e.data);
+        if (username === user.username) return;
+
+        clearTyping(username);
+        if (isTyping) {
+          setTypingUsers((prev) => [...prev, username]);
+          typingTimers.current[username] = setTimeout(() => clearTyping(username), expiresIn);
+        }
+      });
+
+      events.addEventListener('member:updated', (e) => {
+        const { username, role, mutedUntil } = JSON.parse(e.data);
+        setMembers((prev) => ({ ...prev, [username]: { ...prev[username], role, mutedUntil } }));
+      });
+
+      events.addEventListener('user:kicked', (e) => {
+        const { username, reason } = JSON.parse(e.data);
+        if (username === user.username) {
+          events.close();
+          resetRoomState();
+          setError(reason === 'banned' ? 'You were banned from the room' : 'You were removed from the room');
+        }
+      });
+
       return () => {
-        clearInterval(photosInterval);
-        clearInterval(usersInterval);
-        clearInterval(messagesInterval);
-        clearInterval(heartbeatInterval);
+        events.close();
+        stopPolling();
+        Object.values(typingTimers.current).forEach(clearTimeout);
+        typingTimers.current = {};
+        setTypingUsers([]);
       };
     }
-  }, [user]);
+  }, [user]);
+
+  // Report idle/active from keyboard/mouse activity and tab visibility
+  useEffect(() => {
+    if (!user) return;
+
+    let status = 'active';
+    let lastActivity = Date.now();
+
+    const setStatus = (next) => {
+      if (next === status) return;
+      status = next;
+      sendHeartbeat({ status });
+    };
+
+    const onActivity = () => {
+      lastActivity = Date.now();
+      if (!document.hidden) setStatus('active');
+    };
+
+    const checkIdle = () => {
+      if (document.hidden || Date.now() - lastActivity > IDLE_AFTER) {
+        setStatus('idle');
+      }
+    };
+
+    const activityEvents = ['mousemove', 'mousedown', 'keydown', 'touchstart', 'scroll', 'focus'];
+    activityEvents.forEach((type) => window.addEventListener(type, onActivity, { passive: true }));
+    const onVisibilityChange = () => (document.hidden ? checkIdle() : onActivity());
+    document.addEventListener('visibilitychange', onVisibilityChange);
+    const idleInterval = setInterval(checkIdle, 15000);
+
+    return () => {
+      activityEvents.forEach((type) => window.removeEventListener(type, onActivity));
+      document.removeEventListener('visibilitychange', onVisibilityChange);
+      clearInterval(idleInterval);
+    };
+  }, [user]);
+
+  // Let others see which photo this tab has open in the lightbox
+  const viewingPhotoId = lightboxOpen ? selectedPhoto?._id || null : null;
+  const viewingPhotoRef = useRef(null);
+  viewingPhotoRef.current = viewingPhotoId;
+  const reportedViewing = useRef(null);
+  useEffect(() => {
+    if (!user || viewingPhotoId === reportedViewing.current) return;
+    reportedViewing.current = viewingPhotoId;
+    sendHeartbeat({ viewingPhotoId });
+  }, [user, viewingPhotoId]);
+
+  // Load the comment thread of the photo open in the lightbox
+  useEffect(() => {
+    setComments([]);
+    setCommentsPhotoId(null);
+    if (!user || !viewingPhotoId) return;
+
+    let cancelled = false;
+    setIsLoadingComments(true);
+    axios
+      .get(`${API_BASE_URL}/photos/${viewingPhotoId}/comments`)
+      .then((response) => {
+        if (cancelled) return;
+        setComments((prev) => mergeComments(prev, response.data.comments));
+        setCommentsPhotoId(viewingPhotoId);
+      })
+      .catch((err) => console.error('Failed to fetch comments:', err))
+      .finally(() => {
+        if (!cancelled) setIsLoadingComments(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [user, viewingPhotoId]);
+
+  // Keep the open photo's carousel count in step with its loaded thread
+  useEffect(() => {
+    if (!commentsPhotoId || commentsPhotoId !== viewingPhotoId) return;
+    setPhotos((prev) =>
+      prev.map((p) => (p._id === commentsPhotoId && p.commentCount !== comments.length ? { ...p, commentCount: comments.length } : p))
+    );
+  }, [commentsPhotoId, viewingPhotoId, comments]);
+
+  const fetchRoomState = () => {
+    fetchPhotos();
+    fetchActiveUsers();
+    fetchMessages();
+    fetchMembers();
+    fetchAlbums();
+    fetchTags();
+    fetchRetention();
+  };
+
+  const fetchRetention = async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/rooms/${encodeURIComponent(user.roomName)}/retention`);
+      setRetentionStatus(response.data);
+    } catch (err) {
+      console.error('Failed to fetch retention status:', err);
+    }
+  };
+
+  const fetchAlbums = async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/rooms/${encodeURIComponent(user.roomName)}/albums`);
+      setAlbums(response.data.albums);
+    } catch (err) {
+      console.error('Failed to fetch albums:', err);
+    }
+  };
+
+  const fetchTags = async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/rooms/${encodeURIComponent(user.roomName)}/tags`);
+      setRoomTags(response.data.tags);
+    } catch (err) {
+      console.error('Failed to fetch tags:', err);
+    }
+  };
+
+  const fetchMembers = async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/rooms/${encodeURIComponent(user.roomName)}/members`);
+      const byUsername = {};
+      for (const member of response.data.members) {
+        byUsername[member.username] = member;
+      }
+      setMembers(byUsername);
+    } catch (err) {
+      console.error('Failed to fetch members:', err);
+    }
+  };
+
+  const roleOf = (username) => {
+    if (room?.owner === username) return 'owner';
+    return members[username]?.role || 'member';
+  };
+
+  const isMuted = (username) => {
+    const mutedUntil = members[username]?.mutedUntil;
+    return Boolean(mutedUntil && new Date(mutedUntil) > new Date());
+  };
+
+  // Owners and moderators can moderate anyone ranked below them
+  const canModerate = (target) => {
+    const rank = ROLE_RANK[roleOf(user.username)];
+    return target !== user.username && rank >= ROLE_RANK.moderator && rank > ROLE_RANK[roleOf(target)];
+  };
+
+  const handleModerate = async (target, action) => {
+    const roomPath = `${API_BASE_URL}/rooms/${encodeURIComponent(user.roomName)}/members/${encodeURIComponent(target)}`;
+
+    if (action === 'ban' && !window.confirm(`Ban ${target} from this room?`)) {
+      return;
+    }
+
+    try {
+      switch (action) {
+        case 'kick':
+          await axios.post(`${roomPath}/kick`);
+          break;
+        case 'mute':
+          await axios.post(`${roomPath}/mute`, { minutes: 10 });
+          break;
+        case 'unmute':
+          await axios.delete(`${roomPath}/mute`);
+          break;
+        case 'ban':
+          await axios.post(`${roomPath}/ban`);
+          break;
+        case 'promote':
+          await axios.put(`${roomPath}/role`, { role: 'moderator' });
+          break;
+        case 'demote':
+          await axios.put(`${roomPath}/role`, { role: 'member' });
+          break;
+        default:
+          return;
+      }
+      await fetchMembers();
+    } catch (err) {
+      console.error(`Failed to ${action} ${target}:`, err);
+      setError(`Failed to ${action} ${target}: ${err.response?.data?.error || err.message}`);
+      setTimeout(() => setError(''), 5000);
+    }
+  };
+
+  const joinRoom = async () => {
+    try {
+      await axios.post(`${API_BASE_URL}/users/join`, {
+        roomName: user.roomName,
+        sessionId: SESSION_ID,
+      });
+      reportedViewing.current = null;
+      console.log('✅ Joined room:', user.roomName);
+    } catch (err) {
+      console.error('Failed to join room:', err);
+    }
+  };
+
+  // state: optional { status, viewingPhotoId } to report along with it
+  const sendHeartbeat = async (state = {}) => {
+    try {
+      await axios.post(`${API_BASE_URL}/users/heartbeat`, {
+        roomName: user.roomName,
+        sessionId: SESSION_ID,
+        ...state,
+      });
+    } catch (err) {
+      console.error('Heartbeat failed:', err);
+    }
+  };
+
+  const fetchActiveUsers = async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/users/${user.roomName}`);
+      setActiveUsers(response.data.users || []);
+    } catch (err) {
+      console.error('Failed to fetch active users:', err);
+    }
+  };
+
+  // First call loads the newest page; after that only photos uploaded since
+  // the latest upload we have are fetched and merged in
+  const fetchPhotos = async () => {
+    try {
+      const photosUrl = `${API_BASE_URL}/photos/${encodeURIComponent(user.roomName)}`;
+      const newest = latestUpload(photosRef.current);
+      // Results for filters the user has since changed are dropped
+      const filters = photoFiltersRef.current;
+      const params = filterParams(filters);
+      const sortField = photoSortField(filters);
+
+      if (!newest) {
+        const response = await axios.get(photosUrl, { params: { ...params, limit: PHOTO_PAGE_SIZE } });
+        if (filters !== photoFiltersRef.current) return;
+        setPhotos((prev) => mergePhotos(prev, response.data.photos, sortField));
+        setOlderPhotosCursor(response.data.nextCursor);
+        setHasMorePhotos(response.data.hasMore);
+        return;
+      }
+
+      // The server pages `since` by upload time in every sort order, so
+      // uploads of old captures arrive too and merge into their place
+      let since = cursorOf(newest);
+      let hasMore = true;
+      while (hasMore) {
+        const response = await axios.get(photosUrl, { params: { ...params, since, limit: PHOTO_PAGE_SIZE } });
+        if (filters !== photoFiltersRef.current) return;
+        setPhotos((prev) => mergePhotos(prev, response.data.photos, sortField));
+        since = response.data.nextCursor;
+        hasMore = response.data.hasMore && Boolean(since);
+      }
+    } catch (err) {
+      console.error('Failed to fetch photos:', err);
+    }
+  };
+
+  // Polling fallback only: reload the whole loaded window from the newest
+  // page down, so deletions and caption/tag/album edits - which `since`
+  // never returns - reach the gallery without the event stream
+  const resyncPhotos = async () => {
+    try {
+      const photosUrl = `${API_BASE_URL}/photos/${encodeURIComponent(user.roomName)}`;
+      const filters = photoFiltersRef.current;
+      const params = filterParams(filters);
+      const loaded = photosRef.current.length;
+
+      let fetched = [];
+      let before;
+      let page;
+      do {
+        const response = await axios.get(photosUrl, { params: { ...params, before, limit: PHOTO_PAGE_SIZE } });
+        page = response.data;
+        fetched = fetched.concat(page.photos);
+        before = page.nextCursor;
+      } while (page.hasMore && before && fetched.length < loaded);
+
+      if (filters !== photoFiltersRef.current) return;
+      setPhotos(mergePhotos([], fetched, photoSortField(filters)));
+      setOlderPhotosCursor(page.nextCursor);
+      setHasMorePhotos(page.hasMore);
+    } catch (err) {
+      console.error('Failed to resync photos:', err);
+    }
+  };
+
+  // Infinite scroll: load the next page of older photos
+  const fetchOlderPhotos = async () => {
+    if (!hasMorePhotos || isLoadingOlderPhotos || !olderPhotosCursor) return;
+
+    setIsLoadingOlderPhotos(true);
+    try {
+      const filters = photoFiltersRef.current;
+      const response = await axios.get(`${API_BASE_URL}/photos/${encodeURIComponent(user.roomName)}`, {
+        params: { ...filterParams(filters), before: olderPhotosCursor, limit: PHOTO_PAGE_SIZE },
+      });
+      if (filters !== photoFiltersRef.current) return;
+      setPhotos((prev) => mergePhotos(prev, response.data.photos, photoSortField(filters)));
+      setOlderPhotosCursor(response.data.nextCursor);
+      setHasMorePhotos(response.data.hasMore);
+    } catch (err) {
+      console.error('Failed to fetch older photos:', err);
+    } finally {
+      setIsLoadingOlderPhotos(false);
+    }
+  };
+
+  // Changing a filter starts the gallery over from the newest matching photo
+  const isFirstFilterRender = useRef(true);
+  useEffect(() => {
+    if (isFirstFilterRender.current) {
+      isFirstFilterRender.current = false;
+      return;
+    }
+    if (!user) return;
+
+    photosRef.current = [];
+    setPhotos([]);
+    setOlderPhotosCursor(null);
+    setHasMorePhotos(false);
+    setSelectedPhotoIds([]);
+    fetchPhotos();
+  }, [photoFilters]);
+
+  // Load older photos when the sentinel below the gallery scrolls into view
+  useEffect(() => {
+    const sentinel = loadMoreRef.current;
+    if (!sentinel || !hasMorePhotos) return;
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries[0].isIntersecting) {
+          fetchOlderPhotos();
+        }
+      },
+      { rootMargin: '400px' }
+    );
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [hasMorePhotos, olderPhotosCursor, isLoadingOlderPhotos]);
+
+  // First call loads the newest page; after that only messages newer than
+  // the last one we have are fetched
+  const fetchMessages = async () => {
+    try {
+      const chatUrl = `${API_BASE_URL}/chat/${encodeURIComponent(user.roomName)}`;
+      const latest = messagesRef.current[messagesRef.current.length - 1];
+
+      if (!latest) {
+        const response = await axios.get(chatUrl, { params: { limit: CHAT_PAGE_SIZE } });
+        setMessages((prev) => mergeMessages(prev, response.data.messages));
+        setOlderMessagesCursor(response.data.nextCursor);
+        setHasOlderMessages(response.data.hasMore);
+        return;
+      }
+
+      let since = cursorOf(latest);
+      let hasMore = true;
+      while (hasMore) {
+        const response = await axios.get(chatUrl, { params: { since, limit: CHAT_PAGE_SIZE } });
+        setMessages((prev) => mergeMessages(prev, response.data.messages));
+        since = response.data.nextCursor;
+        hasMore = response.data.hasMore && Boolean(since);
+      }
+    } catch (err) {
+      console.error('Failed to fetch messages:', err);
+    }
+  };
+
+  // "Load older messages" - prepend a page while keeping the scroll position
+  const fetchOlderMessages = async () => {
+    if (!hasOlderMessages || isLoadingOlderMessages || !olderMessagesCursor) return;
+
+    setIsLoadingOlderMessages(true);
+    try {
+      const response = await axios.get(`${API_BASE_URL}/chat/${encodeURIComponent(user.roomName)}`, {
+        params: { before: olderMessagesCursor, limit: CHAT_PAGE_SIZE },
+      });
+
+      const messagesContainer = document.querySelector('.chat-messages');
+      const previousHeight = messagesContainer?.scrollHeight || 0;
+
+      setMessages((prev) => mergeMessages(prev, response.data.messages));
+      setOlderMessagesCursor(response.data.nextCursor);
+      setHasOlderMessages(response.data.hasMore);
+
+      setTimeout(() => {
+        if (messagesContainer) {
+          messagesContainer.scrollTop += messagesContainer.scrollHeight - previousHeight;
+        }
+      }, 0);
+    } catch (err) {
+      console.error('Failed to fetch older messages:', err);
+    } finally {
+      setIsLoadingOlderMessages(false);
+    }
+  };
+
+  const clearTyping = (username) => {
+    clearTimeout(typingTimers.current[username]);
+    delete typingTimers.current[username];
+    setTypingUsers((prev) => prev.filter((name) => name !== username));
+  };
+
+  // Throttled: tells the room we're typing, or that we stopped
+  const sendTyping = (isTyping) => {
+    const now = Date.now();
+    if (isTyping && now - lastTypingSent.current < TYPING_REFRESH) return;
+    if (!isTyping && lastTypingSent.current === 0) return;
+    lastTypingSent.current = isTyping ? now : 0;
+
+    axios
+      .post(`${API_BASE_URL}/users/typing`, { roomName: user.roomName, isTyping })
+      .catch((err) => console.error('Failed to send typing status:', err));
+  };
+
+  const handleMessageInputChange = (e) => {
+    setMessageInput(e.target.value);
+    sendTyping(e.target.value.trim().length > 0);
+  };
+
+  const handleSendMessage = async (e) => {
+    e.preventDefault();
+    
+    const attachmentIds = chatAttachments.filter((a) => a.status === 'ready').map((a) => a.photoId);
+    if (!messageInput.trim() && (editingMessage || attachmentIds.length === 0)) {
+      return;
+    }
+
+    setIsSendingMessage(true);
+    try {
+      if (editingMessage) {
+        const response = await axios.patch(`${API_BASE_URL}/chat/${editingMessage._id}`, {
+          message: messageInput,
+        });
+        setMessages((prev) => mergeMessages(prev, [response.data]));
+        setEditingMessage(null);
+        setMessageInput('');
+        return;
+      }
+
+      await axios.post(`${API_BASE_URL}/chat/send`, {
+        roomName: user.roomName,
+        message: messageInput,
+        replyToId: replyingTo?._id,
+        attachmentIds,
+      });
+
+      setMessageInput('');
+      setReplyingTo(null);
+      clearChatAttachments();
+      sendTyping(false);
+      await fetchMessages();
+      
+      // Scroll to bottom
+      setTimeout(() => {
+        const messagesContainer = document.querySelector('.chat-messages');
+        if (messagesContainer) {
+          messagesContainer.scrollTop = messagesContainer.scrollHeight;
+        }
+      }, 100);
+    } catch (err) {
+      console.error('Failed to send message:', err);
+      setError('Failed to send message');
+    } finally {
+      setIsSendingMessage(false);
+    }
+  };
+
+  const clearChatAttachments = () => {
+    setChatAttachments((prev) => {
+      prev.forEach((a) => a.file && URL.revokeObjectURL(a.preview));
+      return [];
+    });
+  };
+
+  const handleRemoveChatAttachment = (id) => {
+    setChatAttachments((prev) => {
+      const removed = prev.find((a) => a.id === id);
+      if (removed?.file) URL.revokeObjectURL(removed.preview);
+      return prev.filter((a) => a.id !== id);
+    });
+  };
+
+  // Attach a photo that's already in the gallery
+  const handleShareInChat = (photo) => {
+    if (chatAttachments.some((a) => a.photoId === photo._id)) return;
+    if (chatAttachments.length >= MAX_CHAT_ATTACHMENTS) {
+      setError(`At most ${MAX_CHAT_ATTACHMENTS} photos per message`);
+      setTimeout(() => setError(''), 5000);
+      return;
+    }
+    setChatAttachments((prev) => [
+      ...prev,
+      { id: photo._id, photoId: photo._id, preview: photo.variants?.thumbnail?.url || photo.imageUrl, status: 'ready' },
+    ]);
+    setLightboxOpen(false);
+    setIsChatOpen(true);
+  };
+
+  // New images go through the same upload pipeline (and queue) as the
+  // dropzone; they land in the gallery too and are attached once stored
+  const handleAttachFiles = (files) => {
+    const images = [...files].filter((file) => file.type.startsWith('image/'));
+    const room = MAX_CHAT_ATTACHMENTS - chatAttachments.length;
+    if (images.length > room) {
+      setError(`At most ${MAX_CHAT_ATTACHMENTS} photos per message`);
+      setTimeout(() => setError(''), 5000);
+    }
+
+    for (const file of images.slice(0, Math.max(0, room))) {
+      const item = { id: randomId(), file, name: file.name, status: 'queued', progress: 0, error: '' };
+      setUploadQueue((prev) => [...prev, item]);
+      setChatAttachments((prev) => [
+        ...prev,
+        { id: item.id, file, preview: URL.createObjectURL(file), status: 'uploading' },
+      ]);
+
+      uploadFile(item).then((uploaded) => {
+        const photoId = uploaded?.photoId;
+        setChatAttachments((prev) =>
+          prev.map((a) => (a.id === item.id ? { ...a, photoId, status: photoId ? 'ready' : 'failed' } : a))
+        );
+      });
+    }
+  };
+
+  // Open a photo from chat or search, even if the gallery hasn't paged that far back
+  const handleOpenChatPhoto = (photo) => {
+    const known = photos.find((p) => p._id === photo._id);
+    const nextPhotos = known ? photos : mergePhotos(photos, [photo], photoSortField(photoFilters));
+    if (!known) setPhotos(nextPhotos);
+    openLightbox(known || photo, nextPhotos.findIndex((p) => p._id === photo._id));
+  };
+
+  const handleReplyToMessage = (msg) => {
+    setEditingMessage(null);
+    setReplyingTo(msg);
+    document.querySelector('.chat-input')?.focus();
+  };
+
+  const handleEditMessage = (msg) => {
+    setReplyingTo(null);
+    setEditingMessage(msg);
+    setMessageInput(msg.message);
+    document.querySelector('.chat-input')?.focus();
+  };
+
+  const handleCancelCompose = () => {
+    if (editingMessage) {
+      setMessageInput('');
+    }
+    setEditingMessage(null);
+    setReplyingTo(null);
+  };
+
+  const handleToggleMessageReaction = async (msg, emoji) => {
+    try {
+      const response = await axios.post(`${API_BASE_URL}/chat/${msg._id}/reactions`, { emoji });
+      const { reactions } = response.data;
+      setMessages((prev) => prev.map((m) => (m._id === msg._id ? { ...m, reactions } : m)));
+    } catch (err) {
+      console.error('Failed to react:', err);
+      setError(`Failed to react: ${err.response?.data?.error || err.message}`);
+      setTimeout(() => setError(''), 5000);
+    }
+  };
+
+  // Search result in chat: page back through history until the message is
+  // loaded, then scroll to it once it has rendered
+  const handleShowMessage = async (message) => {
+    setIsChatOpen(true);
+
+    let loaded = messages;
+    let cursor = olderMessagesCursor;
+    let hasMore = hasOlderMessages;
+    try {
+      for (let page = 0; page < MAX_HISTORY_PAGES && hasMore && cursor; page++) {
+        if (loaded.some((m) => m._id === message._id)) break;
+        const response = await axios.get(`${API_BASE_URL}/chat/${encodeURIComponent(user.roomName)}`, {
+          params: { before: cursor, limit: CHAT_PAGE_SIZE },
+        });
+        loaded = mergeMessages(loaded, response.data.messages);
+        cursor = response.data.nextCursor;
+        hasMore = response.data.hasMore;
+      }
+    } catch (err) {
+      console.error('Failed to load chat history:', err);
+    }
+
+    if (loaded !== messages) {
+      setMessages((prev) => mergeMessages(prev, loaded));
+      setOlderMessagesCursor(cursor);
+      setHasOlderMessages(hasMore);
+    }
+    setPendingJumpId(message._id);
+  };
+
+  useEffect(() => {
+    if (!pendingJumpId || !document.getElementById(`message-${pendingJumpId}`)) return;
+    handleJumpToMessage(pendingJumpId);
+    setPendingJumpId(null);
+  }, [pendingJumpId, messages, isChatOpen]);
+
+  // Scroll to a quoted message if it's loaded
+  const handleJumpToMessage = (messageId) => {
+    const element = document.getElementById(`message-${messageId}`);
+    if (!element) return;
+    element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    element.classList.add('highlighted');
+    setTimeout(() => element.classList.remove('highlighted'), 1500);
+  };
+
+  const handleDeleteMessage = async (messageId) => {
+    try {
+      await axios.delete(`${API_BASE_URL}/chat/${messageId}`);
+      setMessages((prev) => prev.filter((m) => m._id !== messageId));
+      if (editingMessage?._id === messageId) {
+        handleCancelCompose();
+      }
+    } catch (err) {
+      console.error('Failed to delete message:', err);
+      setError('Failed to delete message');
+    }
+  };
+
+  const adjustCommentCount = (photoId, delta) => {
+    setPhotos((prev) =>
+      prev.map((p) => (p._id === photoId ? { ...p, commentCount: Math.max(0, (p.commentCount || 0) + delta) } : p))
+    );
+  };
+
+  const handleToggleReaction = async (photo, emoji) => {
+    try {
+      const response = await axios.post(`${API_BASE_URL}/photos/${photo._id}/reactions`, { emoji });
+      const { reactions } = response.data;
+      setPhotos((prev) => prev.map((p) => (p._id === photo._id ? { ...p, reactions } : p)));
+    } catch (err) {
+      console.error('Failed to react:', err);
+      setError(`Failed to react: ${err.response?.data?.error || err.message}`);
+      setTimeout(() => setError(''), 5000);
+    }
+  };
+
+  const handleAddComment = async (photo, text, parentId) => {
+    try {
+      const response = await axios.post(`${API_BASE_URL}/photos/${photo._id}/comments`, { text, parentId });
+      setComments((prev) => mergeComments(prev, [response.data]));
+      return true;
+    } catch (err) {
+      console.error('Failed to add comment:', err);
+      setError(`Failed to add comment: ${err.response?.data?.error || err.message}`);
+      setTimeout(() => setError(''), 5000);
+      return false;
+    }
+  };
 
-  const joinRoom = async () => {
+  const handleDeleteComment = async (photo, comment) => {
     try {
-      await axios.post(`${API_BASE_URL}/users/join`, {
-        roomName: user.roomName,
-        username: user.username,
-      });
-      console.log('✅ Joined room:', user.roomName);
+      const response = await axios.delete(`${API_BASE_URL}/photos/${photo._id}/comments/${comment._id}`);
+      const { deleted } = response.data;
+      setComments((prev) => prev.filter((c) => !deleted.includes(c._id)));
     } catch (err) {
-      console.error('Failed to join room:', err);
+      console.error('Failed to delete comment:', err);
+      setError(`Failed to delete comment: ${err.response?.data?.error || err.message}`);
+      setTimeout(() => setError(''), 5000);
     }
   };
 
-  const sendHeartbeat = async (roomName, username) => {
+  // Album creators and moderators can change an album
+  const canManageAlbum = (album) =>
+    album.createdBy === user.username || ROLE_RANK[roleOf(user.username)] >= ROLE_RANK.moderator;
+
+  const handleCreateAlbum = async () => {
+    const name = window.prompt('Album name');
+    if (!name?.trim()) return;
+
     try {
-      await axios.post(`${API_BASE_URL}/users/heartbeat`, {
-        roomName,
-        username,
-      });
+      const response = await axios.post(`${API_BASE_URL}/rooms/${encodeURIComponent(user.roomName)}/albums`, { name });
+      setAlbums((prev) => [...prev.filter((a) => a._id !== response.data._id), response.data]);
     } catch (err) {
-      console.error('Heartbeat failed:', err);
+      console.error('Failed to create album:', err);
+      setError(`Failed to create album: ${err.response?.data?.error || err.message}`);
+      setTimeout(() => setError(''), 5000);
     }
   };
 
-  const fetchActiveUsers = async () => {
+  const handleDeleteAlbum = async (album) => {
+    if (!window.confirm(`Delete the album "${album.name}"? Its photos stay in the room.`)) return;
+
     try {
-      const response = await axios.get(`${API_BASE_URL}/users/${user.roomName}`);
-      setActiveUsers(response.data.users || []);
+      await axios.delete(`${API_BASE_URL}/rooms/${encodeURIComponent(user.roomName)}/albums/${album._id}`);
+      setAlbums((prev) => prev.filter((a) => a._id !== album._id));
+      setPhotoFilters((prev) => (prev.album === album._id ? { ...prev, album: '' } : prev));
     } catch (err) {
-      console.error('Failed to fetch active users:', err);
+      console.error('Failed to delete album:', err);
+      setError(`Failed to delete album: ${err.response?.data?.error || err.message}`);
+      setTimeout(() => setError(''), 5000);
     }
   };
 
-  const fetchPhotos = async () => {
+  // The room broadcasts photos:updated after each change, which refreshes
+  // photos, album counts and tags everywhere (including here)
+  const handleAddToAlbum = async (photo, albumId) => {
     try {
-      // This now correctly calls: .../api/photos/roomName
-      const response = await axios.get(`${API_BASE_URL}/photos/${user.roomName}`);
-      setPhotos(response.data);
+      await axios.post(`${API_BASE_URL}/rooms/${encodeURIComponent(user.roomName)}/albums/${albumId}/photos`, {
+        photoIds: [photo._id],
+      });
+      // Like the server's $addToSet: adding twice changes nothing
+      setPhotos((prev) =>
+        prev.map((p) =>
+          p._id === photo._id && !p.albums?.includes(albumId) ? { ...p, albums: [...(p.albums || []), albumId] } : p
+        )
+      );
     } catch (err) {
-      console.error('Failed to fetch photos:', err);
+      console.error('Failed to add photo to album:', err);
+      setError(`Failed to add photo to album: ${err.response?.data?.error || err.message}`);
+      setTimeout(() => setError(''), 5000);
     }
   };
 
-  const fetchMessages = async () => {
+  const handleRemoveFromAlbum = async (photo, album) => {
     try {
-      const response = await axios.get(`${API_BASE_URL}/chat/${user.roomName}`);
-      setMessages(response.data.messages);
+      await axios.delete(
+        `${API_BASE_URL}/rooms/${encodeURIComponent(user.roomName)}/albums/${album._id}/photos/${photo._id}`
+      );
+      setPhotos((prev) =>
+        prev.map((p) => (p._id === photo._id ? { ...p, albums: (p.albums || []).filter((id) => id !== album._id) } : p))
+      );
     } catch (err) {
-      console.error('Failed to fetch messages:', err);
+      console.error('Failed to remove photo from album:', err);
+      setError(`Failed to remove photo from album: ${err.response?.data?.error || err.message}`);
+      setTimeout(() => setError(''), 5000);
     }
   };
 
-  const handleSendMessage = async (e) => {
-    e.preventDefault();
-    
-    if (!messageInput.trim()) {
-      return;
+  const handleSetTags = async (photo, tags) => {
+    try {
+      const response = await axios.put(`${API_BASE_URL}/photos/${photo._id}/tags`, { tags });
+      setPhotos((prev) => prev.map((p) => (p._id === photo._id ? { ...p, tags: response.data.tags } : p)));
+      return true;
+    } catch (err) {
+      console.error('Failed to tag photo:', err);
+      setError(`Failed to tag photo: ${err.response?.data?.error || err.message}`);
+      setTimeout(() => setError(''), 5000);
+      return false;
     }
+  };
 
-    setIsSendingMessage(true);
+  const handleSetCaption = async (photo, caption) => {
     try {
-      await axios.post(`${API_BASE_URL}/chat/send`, {
-        roomName: user.roomName,
-        username: user.username,
-        message: messageInput,
-      });
-
-      setMessageInput('');
-      await fetchMessages();
-      
-      // Scroll to bottom
-      setTimeout(() => {
-        const messagesContainer = document.querySelector('.chat-messages');
-        if (messagesContainer) {
-          messagesContainer.scrollTop = messagesContainer.scrollHeight;
-        }
-      }, 100);
+      const response = await axios.put(`${API_BASE_URL}/photos/${photo._id}/caption`, { caption });
+      setPhotos((prev) => prev.map((p) => (p._id === photo._id ? { ...p, caption: response.data.caption } : p)));
+      return true;
     } catch (err) {
-      console.error('Failed to send message:', err);
-      setError('Failed to send message');
-    } finally {
-      setIsSendingMessage(false);
+      console.error('Failed to caption photo:', err);
+      setError(`Failed to save caption: ${err.response?.data?.error || err.message}`);
+      setTimeout(() => setError(''), 5000);
+      return false;
     }
   };
 
-  const handleDeleteMessage = async (messageId) => {
+  const handleFilterTag = (tag) => {
+    setLightboxOpen(false);
+    setPhotoFilters((prev) => ({ ...prev, tag }));
+  };
+
+  // Drop a deleted photo from the gallery and from chat attachments
+  const removePhotoLocally = (photoId) => {
+    setPhotos((prev) => prev.filter((p) => p._id !== photoId));
+    setMessages((prev) =>
+      prev.map((m) =>
+        m.attachments?.some((a) => a._id === photoId)
+          ? { ...m, attachments: m.attachments.filter((a) => a._id !== photoId) }
+          : m
+      )
+    );
+  };
+
+  const handleDeletePhoto = async (photo) => {
+    if (!window.confirm('Delete this photo for everyone in the room?')) {
+      return;
+    }
+
+    setIsDeletingPhoto(true);
     try {
-      await axios.delete(`${API_BASE_URL}/chat/${messageId}`, {
-        data: { username: user.username },
-      });
-      await fetchMessages();
+      await axios.delete(`${API_BASE_URL}/photos/${photo._id}`);
+      removePhotoLocally(photo._id);
+      setLightboxOpen(false);
+      setSelectedPhoto(null);
+      setSuccess('🗑️ Photo deleted');
+      setTimeout(() => setSuccess(''), 3000);
     } catch (err) {
-      console.error('Failed to delete message:', err);
-      setError('Failed to delete message');
+      console.error('Failed to delete photo:', err);
+      setError(`Failed to delete photo: ${err.response?.data?.error || err.message}`);
+      setTimeout(() => setError(''), 5000);
+    } finally {
+      setIsDeletingPhoto(false);
     }
   };
 
@@ -211,7 +2191,8 @@ function App() {
       const blobUrl = window.URL.createObjectURL(blob);
       const link = document.createElement('a');
       link.href = blobUrl;
-      link.download = `${username}-photo-${Date.now()}.jpg`;
+      const kind = blob.type.startsWith('video/') ? 'video' : 'photo';
+      link.download = `${username}-${kind}-${Date.now()}.${FILE_EXTENSIONS[blob.type] || 'jpg'}`;
       
       document.body.appendChild(link);
       link.click();
@@ -234,86 +2215,457 @@ function App() {
     }
   };
 
-  const handleLoginSubmit = (e) => {
+  // Bulk download and export: the server streams a ZIP, so let the browser fetch it
+  // directly (auth via ?token=, like the event stream) instead of buffering a blob
+  const downloadArchive = (params, endpoint = 'download') => {
+    const query = new URLSearchParams({ ...params, token: localStorage.getItem(TOKEN_KEY) });
+    const link = document.createElement('a');
+    link.href = `${API_BASE_URL}/rooms/${encodeURIComponent(user.roomName)}/${endpoint}?${query}`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+  };
+
+  const handleDownloadAll = () => {
+    if (photos.length === 0) {
+      setError('No photos to download');
+      setTimeout(() => setError(''), 5000);
+      return;
+    }
+    downloadArchive(filterParams(photoFilters));
+  };
+
+  // Owner backup: photos, chat and settings in one archive for import elsewhere
+  const handleExportRoom = () => {
+    downloadArchive({}, 'export');
+  };
+
+  const handleDownloadSelected = () => {
+    downloadArchive({ ids: selectedPhotoIds.join(',') });
+    setIsSelectingPhotos(false);
+    setSelectedPhotoIds([]);
+  };
+
+  const handleTogglePhotoSelected = (photoId) => {
+    setSelectedPhotoIds((prev) => {
+      if (prev.includes(photoId)) return prev.filter((id) => id !== photoId);
+      if (prev.length >= MAX_DOWNLOAD_SELECTION) {
+        setError(`At most ${MAX_DOWNLOAD_SELECTION} photos per download`);
+        setTimeout(() => setError(''), 5000);
+        return prev;
+      }
+      return [...prev, photoId];
+    });
+  };
+
+  const handleToggleSelecting = () => {
+    setIsSelectingPhotos((selecting) => !selecting);
+    setSelectedPhotoIds([]);
+  };
+
+  const handleAuthSubmit = async (e) => {
     e.preventDefault(); // Prevents page reload
     setError('');
 
-    if (!username.trim() || !roomName.trim()) {
-      setError('Please enter both username and room name');
+    if (!username.trim() || !password) {
+      setError('Please enter both username and password');
       return;
     }
 
-    setUser({
-      username: username.trim(),
-      roomName: roomName.trim(),
-    });
+    setIsAuthenticating(true);
+    try {
+      const response = await axios.post(`${API_BASE_URL}/auth/${authMode}`, {
+        username: username.trim(),
+        password,
+      });
 
-    setUsername('');
-    setRoomName('');
+      localStorage.setItem(TOKEN_KEY, response.data.token);
+      setAccount(response.data.user);
+      setUsername('');
+      setPassword('');
+    } catch (err) {
+      console.error(`❌ ${authMode} failed:`, err.response?.data || err.message);
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setIsAuthenticating(false);
+    }
   };
 
-  const onDrop = async (acceptedFiles) => {
-    if (!acceptedFiles.length) {
-      setError('Please drop valid image files');
+  const handleLoginSubmit = async (e) => {
+    e.preventDefault(); // Prevents page reload
+    setError('');
+
+    if (!roomName.trim()) {
+      setError('Please enter a room name');
       return;
     }
 
-    setUploading(true);
+    setIsEnteringRoom(true);
+    try {
+      const response = roomMode === 'create'
+        ? await axios.post(`${API_BASE_URL}/rooms`, {
+            name: roomName.trim(),
+            password: roomPassword || undefined,
+            visibility: roomPrivate ? 'private' : 'public',
+          })
+        : await axios.post(`${API_BASE_URL}/rooms/${encodeURIComponent(roomName.trim())}/join`, {
+            password: roomPassword || undefined,
+            invite: inviteToken || undefined,
+          });
+
+      setRoom(response.data);
+      setUser({
+        username: account.username,
+        roomName: response.data.name,
+      });
+
+      setRoomName('');
+      setRoomPassword('');
+      setRoomPrivate(false);
+      setInviteToken('');
+      // The invite has been used, don't leave it in the address bar
+      window.history.replaceState(null, '', window.location.pathname);
+    } catch (err) {
+      console.error('❌ Failed to enter room:', err.response?.data || err.message);
+      if (roomMode === 'join' && err.response?.status === 404) {
+        setRoomMode('create');
+        setError('That room does not exist yet - create it?');
+      } else {
+        setError(err.response?.data?.error || err.message);
+      }
+    } finally {
+      setIsEnteringRoom(false);
+    }
+  };
+
+  // Owner only: copy an expiring invite link for this room
+  const handleCreateInvite = async () => {
+    try {
+      const response = await axios.post(
+        `${API_BASE_URL}/rooms/${encodeURIComponent(user.roomName)}/invites`,
+        {}
+      );
+      const link = `${window.location.origin}${window.location.pathname}?room=${encodeURIComponent(
+        user.roomName
+      )}&invite=${response.data.token}`;
+
+      await navigator.clipboard.writeText(link);
+      setSuccess(`🔗 Invite link copied (expires ${new Date(response.data.expiresAt).toLocaleString()})`);
+      setTimeout(() => setSuccess(''), 5000);
+    } catch (err) {
+      console.error('Failed to create invite:', err);
+      setError(`Failed to create invite: ${err.response?.data?.error || err.message}`);
+      setTimeout(() => setError(''), 5000);
+    }
+  };
+
+  // Owner only: empty keeps that content forever
+  const handleEditRetention = async () => {
+    const current = retentionStatus?.retention || {};
+    const photoDays = window.prompt('Delete photos after how many days? (empty = keep forever)', current.photoDays ?? '');
+    if (photoDays === null) return;
+    const chatDays = window.prompt('Delete chat messages after how many days? (empty = keep forever)', current.chatDays ?? '');
+    if (chatDays === null) return;
+
+    try {
+      const response = await axios.put(`${API_BASE_URL}/rooms/${encodeURIComponent(user.roomName)}/retention`, {
+        photoDays: photoDays.trim() ? Number(photoDays) : null,
+        chatDays: chatDays.trim() ? Number(chatDays) : null,
+      });
+      setRetentionStatus(response.data);
+      setIsRetentionDismissed(false);
+      setSuccess('⏳ Retention updated');
+      setTimeout(() => setSuccess(''), 3000);
+    } catch (err) {
+      console.error('Failed to update retention:', err);
+      setError(`Failed to update retention: ${err.response?.data?.error || err.message}`);
+      setTimeout(() => setError(''), 5000);
+    }
+  };
+
+  const handleSignOut = () => {
+    localStorage.removeItem(TOKEN_KEY);
+    setAccount(null);
     setError('');
-    setSuccess('');
+  };
+
+  const updateUpload = (id, changes) => {
+    setUploadQueue((prev) => prev.map((item) => (item.id === id ? { ...item, ...changes } : item)));
+  };
+
+  // Chunked upload that survives dropped connections and page reloads: tus
+  // remembers the upload per file + room and resumes from the server's offset
+  const uploadResumable = (item) => {
+    return new Promise((resolve, reject) => {
+      const upload = new tus.Upload(item.file, {
+        endpoint: `${API_BASE_URL}/uploads/resumable`,
+        chunkSize: RESUMABLE_CHUNK_SIZE,
+        retryDelays: RESUMABLE_RETRY_DELAYS,
+        removeFingerprintOnSuccess: true,
+        metadata: {
+          filename: item.file.name,
+          filetype: item.file.type,
+          roomName: user.roomName,
+        },
+        headers: {
+          Authorization: `Bearer ${localStorage.getItem(TOKEN_KEY)}`,
+        },
+        fingerprint: (file) =>
+          Promise.resolve(
+            ['vibeshare', user.roomName, file.name, file.type, file.size, file.lastModified].join('-')
+          ),
+        // Rejections (type, size, quota, duplicate) are final; only retry network
+        // and server errors and offset conflicts
+        onShouldRetry: (err) => {
+          const status = err.originalResponse?.getStatus();
+          return !status || status >= 500 || (status === 409 && tusErrorBody(err).code !== 'DUPLICATE');
+        },
+        onProgress: (bytesSent, bytesTotal) => {
+          updateUpload(item.id, { progress: Math.round((bytesSent * 100) / bytesTotal) });
+        },
+        // The final PATCH (or HEAD, when already complete) names the new photo
+        onSuccess: ({ lastResponse }) => resolve(lastResponse.getHeader('Upload-Photo-Id')),
+        onError: (err) => {
+          const { error, code, photoId } = tusErrorBody(err);
+          reject(Object.assign(new Error(error || err.message), { code, photoId }));
+        },
+      });
+
+      uploadControllers.current[item.id] = {
+        abort: () => {
+          upload.abort(true);
+          reject(Object.assign(new Error('Upload cancelled'), { cancelled: true }));
+        },
+      };
+
+      upload.findPreviousUploads().then((previousUploads) => {
+        if (previousUploads.length > 0) {
+          console.log('⏯️ Resuming previous upload of', item.file.name);
+          upload.resumeFromPreviousUpload(previousUploads[0]);
+        }
+        upload.start();
+      });
+    });
+  };
+
+  // Resolves to { photoId, duplicate } - the new photo, or for a duplicate the
+  // copy already in the room - or null if the upload failed/was cancelled
+  const uploadFile = async (item) => {
+    updateUpload(item.id, { status: 'uploading', progress: 0, error: '' });
+
+    if (item.file.size > RESUMABLE_THRESHOLD) {
+      try {
+        const photoId = await uploadResumable(item);
+        updateUpload(item.id, { status: 'done', progress: 100 });
+        return { photoId, duplicate: false };
+      } catch (err) {
+        if (err.cancelled) {
+          updateUpload(item.id, { status: 'cancelled', progress: 0 });
+        } else if (err.code === 'DUPLICATE') {
+          updateUpload(item.id, { status: 'duplicate', progress: 100, error: err.message });
+          return err.photoId ? { photoId: err.photoId, duplicate: true } : null;
+        } else {
+          console.error('❌ Resumable upload error:', err.message);
+          updateUpload(item.id, { status: 'failed', error: err.message });
+        }
+        return null;
+      } finally {
+        delete uploadControllers.current[item.id];
+      }
+    }
+
+    const controller = new AbortController();
+    uploadControllers.current[item.id] = controller;
 
     try {
-      for (const file of acceptedFiles) {
-        const formData = new FormData();
-        formData.append('vibePhoto', file);
-        formData.append('roomName', user.roomName);
-        formData.append('username', user.username);
+      const formData = new FormData();
+      formData.append('vibePhoto', item.file);
+      formData.append('roomName', user.roomName);
 
-        console.log('📤 Uploading file:', { name: file.name, size: file.size });
+      console.log('📤 Uploading file:', { name: item.file.name, size: item.file.size });
 
-        // This now correctly calls: .../api/upload
-        const response = await axios.post(`${API_BASE_URL}/upload`, formData, {
-          headers: {
-            'Content-Type': 'multipart/form-data',
-          },
+      // This now correctly calls: .../api/upload
+      const response = await axios.post(`${API_BASE_URL}/upload`, formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data',
+        },
+        signal: controller.signal,
+        onUploadProgress: (e) => {
+          if (e.total) {
+            updateUpload(item.id, { progress: Math.round((e.loaded * 100) / e.total) });
+          }
+        },
+      });
+
+      console.log('✅ Upload response:', response.data);
+      updateUpload(item.id, { status: 'done', progress: 100 });
+      return { photoId: response.data.results[0].photo._id, duplicate: false };
+    } catch (err) {
+      const result = err.response?.data?.results?.[0];
+      if (axios.isCancel(err)) {
+        updateUpload(item.id, { status: 'cancelled', progress: 0 });
+      } else if (result?.code === 'DUPLICATE') {
+        // Already in the room: point at that copy (e.g. for a chat attachment)
+        updateUpload(item.id, { status: 'duplicate', progress: 100, error: result.error });
+        return result.photoId ? { photoId: result.photoId, duplicate: true } : null;
+      } else {
+        // 413 (too large / quota) and 415 (not an image) come back per file
+        console.error('❌ Upload error:', err.response?.data || err.message);
+        updateUpload(item.id, {
+          status: 'failed',
+          error: err.response?.data?.results?.[0]?.error || err.response?.data?.error || err.message,
         });
+      }
+      return null;
+    } finally {
+      delete uploadControllers.current[item.id];
+    }
+  };
+
+  // Run queued items through a small pool so a big drop doesn't open dozens of requests
+  const runUploads = async (items) => {
+    const pending = [...items];
+    let uploadedCount = 0;
 
-        console.log('✅ Upload response:', response.data);
+    const worker = async () => {
+      while (pending.length > 0) {
+        const item = pending.shift();
+        if (cancelledUploads.current.delete(item.id)) continue;
+        const uploaded = await uploadFile(item);
+        if (uploaded && !uploaded.duplicate) uploadedCount++;
       }
+    };
 
-      setSuccess(`Successfully uploaded ${acceptedFiles.length} photo(s)`);
+    await Promise.all(Array.from({ length: Math.min(UPLOAD_CONCURRENCY, pending.length) }, worker));
+
+    if (uploadedCount > 0) {
+      setSuccess(`Successfully uploaded ${uploadedCount} photo(s)`);
+      setTimeout(() => setSuccess(''), 3000);
       await fetchPhotos();
-    } catch (err) {
-      console.error('❌ Upload error:', err.response?.data || err.message);
-      setError(`Failed to upload: ${err.response?.data?.error || err.message}`);
-    } finally {
-      setUploading(false);
     }
   };
 
+  const handleCancelUpload = (item) => {
+    const controller = uploadControllers.current[item.id];
+    if (controller) {
+      controller.abort();
+    } else {
+      // Still waiting in the pool - skip it when its turn comes
+      cancelledUploads.current.add(item.id);
+      updateUpload(item.id, { status: 'cancelled' });
+    }
+  };
+
+  const handleRetryUpload = (item) => {
+    updateUpload(item.id, { status: 'queued', progress: 0, error: '' });
+    runUploads([item]);
+  };
+
+  const handleClearUploads = () => {
+    setUploadQueue((prev) => prev.filter((item) => item.status === 'queued' || item.status === 'uploading'));
+  };
+
+  const onDrop = (acceptedFiles, fileRejections) => {
+    setError('');
+    setSuccess('');
+
+    // Files the dropzone refused before they were sent (no retry possible)
+    const rejected = fileRejections.map(({ file, errors }) => {
+      const code = errors[0]?.code;
+      let message = errors[0]?.message;
+      if (code === 'file-too-large') {
+        message = `Larger than ${formatBytes(uploadLimits.maxResumableSize)}`;
+      } else if (code === 'file-invalid-type') {
+        message = 'Not a JPEG, PNG, GIF or WebP image or an MP4, MOV or WebM video';
+      } else if (code === 'too-many-files') {
+        message = `At most ${uploadLimits.maxFiles} files at once`;
+      }
+      return { id: randomId(), name: file.name, status: 'failed', progress: 0, error: message };
+    });
+
+    const queued = acceptedFiles.map((file) => ({
+      id: randomId(),
+      file,
+      name: file.name,
+      status: 'queued',
+      progress: 0,
+      error: '',
+    }));
+
+    if (!queued.length && !rejected.length) {
+      setError('Please drop valid image or video files');
+      return;
+    }
+
+    setUploadQueue((prev) => [...prev, ...queued, ...rejected]);
+    runUploads(queued);
+  };
+
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
     onDrop,
     accept: {
       'image/*': ['.jpeg', '.jpg', '.png', '.gif', '.webp'],
+      'video/mp4': ['.mp4', '.m4v'],
+      'video/quicktime': ['.mov'],
+      'video/webm': ['.webm'],
+    },
+    // Large files go through the resumable endpoint, so its limit applies
+    maxSize: uploadLimits.maxResumableSize,
+    maxFiles: uploadLimits.maxFiles,
+    // Images and videos have their own size caps; the duration cap is checked by the server
+    validator: (file) => {
+      if (file.type?.startsWith('video/')) {
+        return file.size > uploadLimits.maxVideoSize
+          ? { code: 'video-too-large', message: `Videos must be ${formatBytes(uploadLimits.maxVideoSize)} or smaller` }
+          : null;
+      }
+      return file.size > uploadLimits.maxFileSize
+        ? { code: 'image-too-large', message: `Images must be ${formatBytes(uploadLimits.maxFileSize)} or smaller` }
+        : null;
     },
   });
 
   const handleLogout = async () => {
     if (user) {
       try {
+        // Only closes this tab's session; other open tabs keep the user present
         await axios.delete(`${API_BASE_URL}/users/leave`, {
           data: {
             roomName: user.roomName,
-            username: user.username,
+            sessionId: SESSION_ID,
           },
         });
       } catch (err) {
         console.error('Error leaving room:', err);
       }
     }
+    resetRoomState();
+  };
+
+  const resetRoomState = () => {
+    Object.values(uploadControllers.current).forEach((controller) => controller.abort());
+    setUploadQueue([]);
     setUser(null);
+    setRoom(null);
+    setMembers({});
     setPhotos([]);
+    setMessages([]);
+    setReplyingTo(null);
+    setEditingMessage(null);
+    clearChatAttachments();
+    setOlderMessagesCursor(null);
+    setHasOlderMessages(false);
+    setOlderPhotosCursor(null);
+    setHasMorePhotos(false);
+    setPhotoFilters(EMPTY_PHOTO_FILTERS);
+    setIsSelectingPhotos(false);
+    setSelectedPhotoIds([]);
+    setAlbums([]);
+    setRetentionStatus(null);
+    setIsRetentionDismissed(false);
+    setRoomTags([]);
     setActiveUsers([]);
+    setTypingUsers([]);
     setError('');
     setSuccess('');
     setLightboxOpen(false);
@@ -341,8 +2693,24 @@ function App() {
     setSelectedPhotoIndex(newIndex);
   };
 
-  // Group photos by username (owner)
+  // Everyone with a role in the room, for the uploader and search filters
+  const roomUsernames = [...new Set([room?.owner, ...Object.keys(members)].filter(Boolean))].sort();
+
+  // How many loaded photos each near-duplicate group has
+  const similarCounts = photos.reduce((acc, photo) => {
+    const group = similarGroupOf(photo);
+    acc[group] = (acc[group] || 0) + 1;
+    return acc;
+  }, {});
+
+  // Group photos by username (owner). Collapsing similar photos keeps only the
+  // newest of each near-duplicate group; the lightbox still steps through all.
+  const shownGroups = new Set();
   const groupedPhotos = photos.reduce((acc, photo) => {
+    if (collapseSimilar) {
+      if (shownGroups.has(similarGroupOf(photo))) return acc;
+      shownGroups.add(similarGroupOf(photo));
+    }
     if (!acc[photo.username]) {
       acc[photo.username] = [];
     }
@@ -350,13 +2718,13 @@ function App() {
     return acc;
   }, {});
 
-  if (!user) {
+  if (!account) {
     return (
       <div className="login-container">
         <div className="login-card">
           <h1 className="app-title">🎨 VibeShare</h1>
           <p className="app-subtitle">Share your vibes with friends</p>
-          <form onSubmit={handleLoginSubmit} className="login-form">
+          <form onSubmit={handleAuthSubmit} className="login-form">
             <div className="form-group">
               <label htmlFor="username">Username</label>
               <input
@@ -366,22 +2734,104 @@ function App() {
                 value={username}
                 onChange={(e) => setUsername(e.target.value)}
                 className="form-input"
+                autoComplete="username"
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="password">Password</label>
+              <input
+                id="password"
+                type="password"
+                placeholder={authMode === 'register' ? 'At least 8 characters' : 'Enter your password'}
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                className="form-input"
+                autoComplete={authMode === 'register' ? 'new-password' : 'current-password'}
               />
             </div>
+            {error && <div className="error-message">{error}</div>}
+            <button type="submit" className="login-button" disabled={isAuthenticating}>
+              {isAuthenticating ? '⏳ Please wait...' : authMode === 'register' ? 'Create Account' : 'Log In'}
+            </button>
+            <button
+              type="button"
+              className="auth-switch-button"
+              onClick={() => {
+                setAuthMode(authMode === 'register' ? 'login' : 'register');
+                setError('');
+              }}
+            >
+              {authMode === 'register' ? 'Already have an account? Log in' : 'New here? Create an account'}
+            </button>
+          </form>
+        </div>
+      </div>
+    );
+  }
+
+  if (!user) {
+    return (
+      <div className="login-container">
+        <div className="login-card">
+          <h1 className="app-title">🎨 VibeShare</h1>
+          <p className="app-subtitle">
+            Signed in as <strong>{account.username}</strong>
+          </p>
+          <form onSubmit={handleLoginSubmit} className="login-form">
             <div className="form-group">
               <label htmlFor="roomName">Room Name</label>
               <input
                 id="roomName"
                 type="text"
-                placeholder="Enter or join a room"
+                placeholder={roomMode === 'create' ? 'Name your new room' : 'Enter or join a room'}
                 value={roomName}
                 onChange={(e) => setRoomName(e.target.value)}
                 className="form-input"
               />
             </div>
+            {!inviteToken && (
+              <div className="form-group">
+                <label htmlFor="roomPassword">
+                  Room Password <span className="form-hint">(optional)</span>
+                </label>
+                <input
+                  id="roomPassword"
+                  type="password"
+                  placeholder={roomMode === 'create' ? 'Leave empty for no password' : 'Only if the room has one'}
+                  value={roomPassword}
+                  onChange={(e) => setRoomPassword(e.target.value)}
+                  className="form-input"
+                  autoComplete="off"
+                />
+              </div>
+            )}
+            {inviteToken && <p className="form-hint">🔗 Joining with an invite link</p>}
+            {roomMode === 'create' && (
+              <label className="form-checkbox">
+                <input
+                  type="checkbox"
+                  checked={roomPrivate}
+                  onChange={(e) => setRoomPrivate(e.target.checked)}
+                />
+                Private room (invite link only)
+              </label>
+            )}
             {error && <div className="error-message">{error}</div>}
-            <button type="submit" className="login-button">
-              Enter Room
+            <button type="submit" className="login-button" disabled={isEnteringRoom}>
+              {isEnteringRoom ? '⏳ Please wait...' : roomMode === 'create' ? 'Create Room' : 'Enter Room'}
+            </button>
+            <button
+              type="button"
+              className="auth-switch-button"
+              onClick={() => {
+                setRoomMode(roomMode === 'create' ? 'join' : 'create');
+                setError('');
+              }}
+            >
+              {roomMode === 'create' ? 'Join an existing room instead' : 'Create a new room'}
+            </button>
+            <button type="button" className="auth-switch-button" onClick={handleSignOut}>
+              Sign out
             </button>
           </form>
         </div>
@@ -395,10 +2845,19 @@ function App() {
         <div className="header-content">
           <h1 className="app-title">🎨 VibeShare</h1>
           <p className="room-info">
-            Room: <strong>{user.roomName}</strong> | User: <strong>{user.username}</strong>
+            Room: <strong>{user.roomName}</strong>
+            {room?.visibility === 'private' && ' 🔒'}
+            {' '}| User: <strong>{user.username}</strong>
           </p>
         </div>
 
+        <RoomSearch
+          roomName={user.roomName}
+          users={roomUsernames}
+          onOpenPhoto={handleOpenChatPhoto}
+          onOpenMessage={handleShowMessage}
+        />
+
         {/* Active Users Panel */}
         <div className="active-users-panel">
           <div className="users-header">
@@ -408,9 +2867,43 @@ function App() {
             {activeUsers.length > 0 ? (
               activeUsers.map((u) => (
                 <div key={u.username} className="user-item">
-                  <span className="user-status-dot"></span>
-                  <span className="user-name">{u.username}</span>
+                  <span
+                    className={`user-status-dot ${u.status === 'idle' ? 'idle' : ''}`}
+                    title={u.status === 'idle' ? 'Away' : 'Active'}
+                  ></span>
+                  <span className="user-name">
+                    {roleOf(u.username) === 'owner' && '👑 '}
+                    {roleOf(u.username) === 'moderator' && '🛡️ '}
+                    {u.username}
+                    {isMuted(u.username) && ' 🔇'}
+                    {u.sessions > 1 && <span className="user-sessions"> · {u.sessions} tabs</span>}
+                  </span>
+                  {u.viewingPhotoId && u.username !== user.username && (
+                    <ViewingHint
+                      photos={photos}
+                      photoId={u.viewingPhotoId}
+                      onOpen={openLightbox}
+                    />
+                  )}
                   {u.username === user.username && <span className="user-badge">You</span>}
+                  {canModerate(u.username) && (
+                    <span className="user-mod-controls">
+                      <button onClick={() => handleModerate(u.username, 'kick')} title="Kick">👢</button>
+                      {isMuted(u.username) ? (
+                        <button onClick={() => handleModerate(u.username, 'unmute')} title="Unmute">🔊</button>
+                      ) : (
+                        <button onClick={() => handleModerate(u.username, 'mute')} title="Mute for 10 minutes">🔇</button>
+                      )}
+                      <button onClick={() => handleModerate(u.username, 'ban')} title="Ban">⛔</button>
+                      {roleOf(user.username) === 'owner' && (
+                        roleOf(u.username) === 'moderator' ? (
+                          <button onClick={() => handleModerate(u.username, 'demote')} title="Remove moderator">⬇️</button>
+                        ) : (
+                          <button onClick={() => handleModerate(u.username, 'promote')} title="Make moderator">🛡️</button>
+                        )
+                      )}
+                    </span>
+                  )}
                 </div>
               ))
             ) : (
@@ -419,6 +2912,24 @@ function App() {
           </div>
         </div>
 
+        {room?.owner === user.username && (
+          <button onClick={handleCreateInvite} className="invite-button" title="Copy an invite link">
+            🔗 Invite
+          </button>
+        )}
+
+        {room?.owner === user.username && (
+          <button onClick={handleEditRetention} className="invite-button" title="Automatically delete old content">
+            ⏳ Retention
+          </button>
+        )}
+
+        {room?.owner === user.username && (
+          <button onClick={handleExportRoom} className="invite-button" title="Download the whole room as a backup">
+            📤 Export
+          </button>
+        )}
+
         <button onClick={handleLogout} className="logout-button">
           Leave Room
         </button>
@@ -436,17 +2947,15 @@ function App() {
       {/* Main Layout Container */}
       <div className="main-layout">
         <div className="gallery-content">
+        {!isRetentionDismissed && (
+          <RetentionBanner status={retentionStatus} onDismiss={() => setIsRetentionDismissed(true)} />
+        )}
         <div
           {...getRootProps()}
-          className={`dropzone ${isDragActive ? 'active' : ''} ${uploading ? 'uploading' : ''}`}
+          className={`dropzone ${isDragActive ? 'active' : ''}`}
         >
           <input {...getInputProps()} />
-          {uploading ? (
-            <div className="upload-progress">
-              <div className="spinner"></div>
-              <p>Uploading photos...</p>
-            </div>
-          ) : isDragActive ? (
+          {isDragActive ? (
             <div className="dropzone-content">
               <p className="dropzone-icon">📥</p>
               <p className="dropzone-text">Drop your photos here!</p>
@@ -454,25 +2963,94 @@ function App() {
           ) : (
             <div className="dropzone-content">
               <p className="dropzone-icon">📸</p>
-              <p className="dropzone-text">Drag & drop your photos here</p>
+              <p className="dropzone-text">Drag & drop your photos and videos here</p>
               <p className="dropzone-subtext">or click to select files</p>
+              <p className="dropzone-subtext">
+                Up to {uploadLimits.maxFiles} images, {formatBytes(uploadLimits.maxFileSize)} each
+              </p>
+              <p className="dropzone-subtext">
+                Videos up to {formatDuration(uploadLimits.maxVideoDuration)} and {formatBytes(uploadLimits.maxVideoSize)}
+              </p>
             </div>
           )}
         </div>
         {error && <div className="error-message">{error}</div>}
+        <UploadQueue
+          items={uploadQueue}
+          onCancel={handleCancelUpload}
+          onRetry={handleRetryUpload}
+          onClear={handleClearUploads}
+        />
         {success && <div className="success-message">{success}</div>}
 
         {/* Lightbox Modal */}
         <LightboxModal
           isOpen={lightboxOpen}
-          photo={selectedPhoto}
+          photo={photos.find((p) => p._id === selectedPhoto?._id) || selectedPhoto}
           onClose={() => setLightboxOpen(false)}
           onPrevious={handlePreviousPhoto}
           onNext={handleNextPhoto}
           onDownload={handleDownloadImage}
           isDownloading={isDownloading}
+          canDelete={selectedPhoto?.username === user.username || canModerate(selectedPhoto?.username)}
+          onDelete={handleDeletePhoto}
+          isDeleting={isDeletingPhoto}
+          username={user.username}
+          onToggleReaction={handleToggleReaction}
+          comments={comments}
+          isLoadingComments={isLoadingComments}
+          onAddComment={handleAddComment}
+          canDeleteComment={(comment) => comment.username === user.username || canModerate(comment.username)}
+          onDeleteComment={handleDeleteComment}
+          isMuted={isMuted(user.username)}
+          onShareInChat={handleShareInChat}
+          albums={albums}
+          canEditTags={selectedPhoto?.username === user.username || canModerate(selectedPhoto?.username)}
+          onSetTags={handleSetTags}
+          canEditCaption={selectedPhoto?.username === user.username || canModerate(selectedPhoto?.username)}
+          onSetCaption={handleSetCaption}
+          onAddToAlbum={handleAddToAlbum}
+          canRemoveFromAlbum={(photo, album) => photo.username === user.username || canManageAlbum(album)}
+          onRemoveFromAlbum={handleRemoveFromAlbum}
+          onFilterTag={handleFilterTag}
+        />
+
+        <PhotoFilterBar
+          albums={albums}
+          tags={roomTags}
+          users={roomUsernames}
+          filters={photoFilters}
+          onChange={setPhotoFilters}
+          onCreateAlbum={handleCreateAlbum}
+          canManageAlbum={canManageAlbum}
+          onDeleteAlbum={handleDeleteAlbum}
+          onDownloadAll={handleDownloadAll}
+          isSelecting={isSelectingPhotos}
+          onToggleSelecting={handleToggleSelecting}
+          collapseSimilar={collapseSimilar}
+          onToggleCollapseSimilar={() => setCollapseSimilar((collapse) => !collapse)}
         />
 
+        {isSelectingPhotos && (
+          <div className="selection-bar">
+            <span>{selectedPhotoIds.length} selected</span>
+            <button
+              className="filter-chip"
+              onClick={() => setSelectedPhotoIds(photos.slice(0, MAX_DOWNLOAD_SELECTION).map((p) => p._id))}
+            >
+              Select all loaded
+            </button>
+            <button
+              className="filter-chip active"
+              onClick={handleDownloadSelected}
+              disabled={selectedPhotoIds.length === 0}
+            >
+              📦 Download selected
+            </button>
+            <button className="filter-chip" onClick={handleToggleSelecting}>Cancel</button>
+          </div>
+        )}
+
         {/* Grouped Photos by Owner with Carousel */}
         {photos.length > 0 ? (
           <div className="owner-groups">
@@ -486,17 +3064,27 @@ function App() {
                       return (
                         <div
                           key={photo._id}
-                          className="carousel-item"
-                          onClick={() => openLightbox(photo, globalIndex)}
+                          className={`carousel-item ${selectedPhotoIds.includes(photo._id) ? 'selected' : ''}`}
+                          onClick={() =>
+                            isSelectingPhotos ? handleTogglePhotoSelected(photo._id) : openLightbox(photo, globalIndex)
+                          }
                         >
-                          <img
-                            src={photo.imageUrl}
-                            alt={ownerName}
-                            className="carousel-image"
-                          />
+                          {isSelectingPhotos && (
+                            <span className="carousel-select">{selectedPhotoIds.includes(photo._id) ? '✅' : '⬜'}</span>
+                          )}
+                          <CarouselMedia photo={photo} alt={ownerName} />
                           <div className="carousel-overlay">
                             <span className="expand-icon">🔍</span>
                           </div>
+                          {collapseSimilar && similarCounts[similarGroupOf(photo)] > 1 && (
+                            <span className="carousel-similar">+{similarCounts[similarGroupOf(photo)] - 1} similar</span>
+                          )}
+                          {(reactionCount(photo) > 0 || photo.commentCount > 0) && (
+                            <div className="carousel-counts">
+                              {reactionCount(photo) > 0 && <span>❤️ {reactionCount(photo)}</span>}
+                              {photo.commentCount > 0 && <span>💬 {photo.commentCount}</span>}
+                            </div>
+                          )}
                         </div>
                       );
                     })}
@@ -504,18 +3092,37 @@ function App() {
                 </div>
               </div>
             ))}
+            <div ref={loadMoreRef} className="gallery-load-more">
+              {isLoadingOlderPhotos && <div className="spinner"></div>}
+              {hasMorePhotos && !isLoadingOlderPhotos && (
+                <button className="load-more-button" onClick={fetchOlderPhotos}>
+                  Load older photos
+                </button>
+              )}
+            </div>
           </div>
         ) : (
           <div className="empty-gallery">
             <p className="empty-icon">🖼️</p>
-            <p className="empty-text">No photos yet. Be the first to share!</p>
+            <p className="empty-text">
+              {Object.values(photoFilters).some(Boolean)
+                ? 'No photos match these filters.'
+                : 'No photos yet. Be the first to share!'}
+            </p>
           </div>
         )}
         </div>
 
         {/* Chat Sidebar */}
         {isChatOpen && (
-          <div className="chat-sidebar">
+          <div
+            className="chat-sidebar"
+            onDragOver={(e) => e.preventDefault()}
+            onDrop={(e) => {
+              e.preventDefault();
+              if (!editingMessage && !isMuted(user.username)) handleAttachFiles(e.dataTransfer.files);
+            }}
+          >
             <div className="chat-header">
               <h3>💬 Room Chat</h3>
               <button 
@@ -527,32 +3134,30 @@ function App() {
             </div>
 
             <div className="chat-messages">
+              {hasOlderMessages && (
+                <button
+                  className="load-older-messages"
+                  onClick={fetchOlderMessages}
+                  disabled={isLoadingOlderMessages}
+                >
+                  {isLoadingOlderMessages ? '⏳ Loading...' : '⬆️ Load older messages'}
+                </button>
+              )}
               {messages.length > 0 ? (
                 messages.map((msg) => (
-                  <div 
-                    key={msg._id} 
-                    className={`chat-message ${msg.username === user.username ? 'own' : 'other'}`}
-                  >
-                    <div className="message-header">
-                      <span className="message-author">{msg.username}</span>
-                      <span className="message-time">
-                        {new Date(msg.createdAt).toLocaleTimeString('en-US', {
-                          hour: '2-digit',
-                          minute: '2-digit',
-                        })}
-                      </span>
-                    </div>
-                    <div className="message-content">{msg.message}</div>
-                    {msg.username === user.username && (
-                      <button
-                        onClick={() => handleDeleteMessage(msg._id)}
-                        className="message-delete-btn"
-                        title="Delete message"
-                      >
-                        🗑️
-                      </button>
-                    )}
-                  </div>
+                  <ChatMessage
+                    key={msg._id}
+                    msg={msg}
+                    username={user.username}
+                    canEdit={msg.username === user.username && !isMuted(user.username)}
+                    canDelete={msg.username === user.username || canModerate(msg.username)}
+                    onReply={handleReplyToMessage}
+                    onEdit={handleEditMessage}
+                    onDelete={handleDeleteMessage}
+                    onToggleReaction={handleToggleMessageReaction}
+                    onJumpTo={handleJumpToMessage}
+                    onOpenPhoto={handleOpenChatPhoto}
+                  />
                 ))
               ) : (
                 <div className="no-messages">
@@ -561,21 +3166,84 @@ function App() {
               )}
             </div>
 
+            {typingUsers.length > 0 && (
+              <div className="typing-indicator">{describeTyping(typingUsers)}</div>
+            )}
+
+            {(replyingTo || editingMessage) && (
+              <div className="chat-compose-context">
+                <span>
+                  {editingMessage ? '✏️ Editing message' : (
+                    <>↩️ Replying to <strong>{replyingTo.username}</strong>: {replyingTo.message.slice(0, 80) || '📷 Photo'}</>
+                  )}
+                </span>
+                <button onClick={handleCancelCompose} title="Cancel">✕</button>
+              </div>
+            )}
+
+            {chatAttachments.length > 0 && (
+              <div className="chat-attachments">
+                {chatAttachments.map((a) => (
+                  <div key={a.id} className={`chat-attachment ${a.status}`}>
+                    <img src={a.preview} alt="Attachment" />
+                    {a.status === 'uploading' && <span className="chat-attachment-status">⏳</span>}
+                    {a.status === 'failed' && <span className="chat-attachment-status" title="Upload failed">⚠️</span>}
+                    <button onClick={() => handleRemoveChatAttachment(a.id)} title="Remove">✕</button>
+                  </div>
+                ))}
+              </div>
+            )}
+
             <form onSubmit={handleSendMessage} className="chat-input-form">
+              <input
+                ref={chatFileInputRef}
+                type="file"
+                accept="image/jpeg,image/png,image/gif,image/webp"
+                multiple
+                hidden
+                onChange={(e) => {
+                  handleAttachFiles(e.target.files);
+                  e.target.value = '';
+                }}
+              />
+              <button
+                type="button"
+                className="chat-attach-button"
+                onClick={() => chatFileInputRef.current?.click()}
+                disabled={Boolean(editingMessage) || isMuted(user.username) || chatAttachments.length >= MAX_CHAT_ATTACHMENTS}
+                title="Attach photos"
+              >
+                📎
+              </button>
               <input
                 type="text"
                 value={messageInput}
-                onChange={(e) => setMessageInput(e.target.value)}
-                placeholder="Type a message..."
+                onChange={handleMessageInputChange}
+                onBlur={() => sendTyping(false)}
+                onKeyDown={(e) => e.key === 'Escape' && handleCancelCompose()}
+                onPaste={(e) => {
+                  if (editingMessage || e.clipboardData.files.length === 0) return;
+                  e.preventDefault();
+                  handleAttachFiles(e.clipboardData.files);
+                }}
+                placeholder={
+                  isMuted(user.username)
+                    ? `You are muted until ${new Date(members[user.username].mutedUntil).toLocaleTimeString()}`
+                    : 'Type a message...'
+                }
                 className="chat-input"
-                disabled={isSendingMessage}
+                disabled={isSendingMessage || isMuted(user.username)}
               />
               <button 
                 type="submit" 
                 className="chat-send-button"
-                disabled={isSendingMessage || !messageInput.trim()}
+                disabled={
+                  isSendingMessage ||
+                  chatAttachments.some((a) => a.status === 'uploading') ||
+                  (!messageInput.trim() && (editingMessage || !chatAttachments.some((a) => a.status === 'ready')))
+                }
               >
-                {isSendingMessage ? '⏳' : '📤'}
+                {isSendingMessage ? '⏳' : editingMessage ? '💾' : '📤'}
               </button>
             </form>
           </div>
@@ -0,0 +1,344 @@
+import os from 'os';
+import path from 'path';
+import mongoose from 'mongoose';
+import yauzl from 'yauzl';
+import Room, { ROOM_NAME_PATTERN } from './models/Room.js';
+import User from './models/User.js';
+import Photo from './models/Photo.js';
+import Chat from './models/Chat.js';
+import Album from './models/Album.js';
+import PhotoComment from './models/PhotoComment.js';
+import { UploadError, UPLOAD_LIMITS, sniffImageType, sniffVideoType, storeMedia, deletePhoto } from './uploads.js';
+import { contentHashOf } from './duplicates.js';
+import { extensionOf } from './archives.js';
+
+// ===========================================
+// 💾 ROOM BACKUPS (export / import)
+// ===========================================
+// An export is a ZIP holding manifest.json - the room, its albums, photo
+// metadata and comments, and the chat history - plus each photo's stored
+// original under media/. Importing recreates the room with fresh ids and
+// pushes every original back through the upload pipeline into whatever
+// storage this server is configured with.
+export const MANIFEST_NAME = 'manifest.json';
+export const MANIFEST_FORMAT = 'vibeshare-room';
+export const MANIFEST_VERSION = 1;
+
+const MB = 1024 * 1024;
+
+export const IMPORT_LIMITS = {
+  maxArchiveSize: Number(process.env.MAX_IMPORT_BYTES) || 4096 * MB,
+  maxManifestSize: 256 * MB,
+  tempDir: path.join(os.tmpdir(), 'vibeshare-imports'),
+};
+
+// Chat messages are inserted this many at a time
+const INSERT_BATCH_SIZE = 500;
+
+export const mediaNameOf = (photo) => `media/${photo._id}${extensionOf(photo.mimeType)}`;
+
+// Storage location (publicId, urls, variants, size) is left out - it means
+// nothing on another server
+const PHOTO_FIELDS = [
+  'username', 'originalName', 'mimeType', 'mediaType', 'duration', 'width', 'height', 'exif', 'takenAt',
+  'caption', 'tags', 'albums', 'reactions', 'contentHash', 'similarTo', 'createdAt',
+].join(' ');
+
+const badArchive = (message) => Object.assign(new Error(message), { status: 400 });
+
+// ================= EXPORT =================
+
+// Everything about a room except the media files themselves. The password
+// hash and invites stay behind: an imported room starts without either.
+export const buildManifest = async (room) => {
+  const roomName = room.name;
+  const [albums, photos, comments, messages] = await Promise.all([
+    Album.find({ roomName }).sort({ createdAt: 1 }).lean(),
+    Photo.find({ roomName }, PHOTO_FIELDS).sort({ createdAt: 1, _id: 1 }).lean(),
+    PhotoComment.find({ roomName }).sort({ createdAt: 1, _id: 1 }).lean(),
+    Chat.find({ roomName }).select('+edits').sort({ createdAt: 1, _id: 1 }).lean(),
+  ]);
+
+  return {
+    format: MANIFEST_FORMAT,
+    version: MANIFEST_VERSION,
+    exportedAt: new Date(),
+    room: {
+      name: room.name,
+      owner: room.owner,
+      visibility: room.visibility,
+      members: room.members.map(({ username, role, joinedAt }) => ({ username, role, joinedAt })),
+      banned: room.banned,
+      retention: room.toPublicJSON().retention,
+      createdAt: room.createdAt,
+    },
+    albums: albums.map(({ _id, name, description, createdBy, createdAt }) => ({
+      _id, name, description, createdBy, createdAt,
+    })),
+    photos: photos.map((photo) => ({ ...photo, file: mediaNameOf(photo) })),
+    comments: comments.map(({ _id, photoId, username, text, parentId, createdAt }) => ({
+      _id, photoId, username, text, parentId, createdAt,
+    })),
+    messages: messages.map(({ _id, username, message, attachments, replyTo, mentions, reactions, editedAt, edits, createdAt }) => ({
+      _id, username, message, attachments, replyTo, mentions, reactions, editedAt, edits, createdAt,
+    })),
+  };
+};
+
+// ================= IMPORT =================
+
+// Index the archive's entries by path
+const listEntries = (zip) => new Promise((resolve, reject) => {
+  const entries = new Map();
+  zip.on('entry', (entry) => {
+    entries.set(entry.fileName, entry);
+    zip.readEntry();
+  });
+  zip.on('end', () => resolve(entries));
+  zip.on('error', reject);
+  zip.readEntry();
+});
+
+const readEntry = async (zip, entry) => {
+  const chunks = [];
+  for await (const chunk of await zip.openReadStreamPromise(entry)) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+const readManifest = async (zip, entries) => {
+  const entry = entries.get(MANIFEST_NAME);
+  if (!entry) {
+    throw badArchive(`Not a room export: ${MANIFEST_NAME} is missing`);
+  }
+  if (entry.uncompressedSize > IMPORT_LIMITS.maxManifestSize) {
+    throw badArchive(`${MANIFEST_NAME} is too large`);
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse((await readEntry(zip, entry)).toString('utf8'));
+  } catch {
+    throw badArchive(`${MANIFEST_NAME} is not valid JSON`);
+  }
+
+  if (manifest?.format !== MANIFEST_FORMAT || !manifest.room?.name) {
+    throw badArchive('Not a room export');
+  }
+  if (manifest.version > MANIFEST_VERSION) {
+    throw badArchive(`Export version ${manifest.version} is newer than this server supports`);
+  }
+  return manifest;
+};
+
+// Old id -> new id through a Map keyed by the old id's string
+const remap = (ids, id) => (id ? ids.get(String(id)) || null : null);
+const remapAll = (ids, list = []) => list.map((id) => remap(ids, id)).filter(Boolean);
+
+// Remove whatever a failed import managed to create
+const rollback = async (roomName, photos) => {
+  for (const photo of photos) {
+    await deletePhoto(photo).catch((error) => console.error(`❌ Import rollback: photo ${photo._id}:`, error.message));
+  }
+  await Promise.all([
+    Album.deleteMany({ roomName }),
+    PhotoComment.deleteMany({ roomName }),
+    Chat.deleteMany({ roomName }),
+    Room.deleteOne({ name: roomName }),
+  ]);
+};
+
+// Recreate a room from an export at `archivePath`, owned by `owner` and
+// optionally under a new name. Usernames in an export mean nothing on
+// another server, so only members and bans of registered users carry over.
+// Photos whose file is missing or rejected by the upload pipeline are
+// skipped and reported, and exact copies are merged into the first one;
+// anything else fails the whole import and undoes it.
+// Throws { status: 400 } for a bad archive, { status: 409 } if the room exists.
+export const importRoom = async (archivePath, { name, owner }) => {
+  let zip;
+  try {
+    zip = await yauzl.openPromise(archivePath, { lazyEntries: true, autoClose: false });
+  } catch {
+    throw badArchive('Not a ZIP archive');
+  }
+
+  try {
+    const entries = await listEntries(zip);
+    const manifest = await readManifest(zip, entries);
+    const roomName = name || String(manifest.room.name).trim();
+    if (!ROOM_NAME_PATTERN.test(roomName)) {
+      throw badArchive('The exported room name is not valid here - import it under another name');
+    }
+
+    if (await Room.exists({ name: roomName })) {
+      throw Object.assign(new Error('A room with that name already exists'), { status: 409 });
+    }
+
+    const { room: source } = manifest;
+    const usernames = [...(source.members || []).map((m) => m.username), ...(source.banned || [])];
+    const registered = new Set(await User.distinct('username', { username: { $in: usernames } }));
+
+    const room = await Room.create({
+      name: roomName,
+      owner,
+      visibility: source.visibility,
+      members: [
+        { username: owner },
+        ...(source.members || []).filter((m) => m.username !== owner && registered.has(m.username)),
+      ],
+      banned: (source.banned || []).filter((username) => username !== owner && registered.has(username)),
+      retention: {
+        photoDays: source.retention?.photoDays || undefined,
+        chatDays: source.retention?.chatDays || undefined,
+      },
+      createdAt: source.createdAt,
+    });
+
+    const created = [];
+    try {
+      const imported = { albums: 0, photos: 0, comments: 0, messages: 0 };
+      const skipped = [];
+
+      // Albums
+      const albumIds = new Map();
+      const albums = (manifest.albums || []).map((album) => {
+        const _id = new mongoose.Types.ObjectId();
+        albumIds.set(String(album._id), _id);
+        return { ...album, _id, roomName };
+      });
+      await Album.insertMany(albums);
+      imported.albums = albums.length;
+
+      // Photos, one original at a time through the normal storage pipeline.
+      // Rooms from before duplicate detection may hold exact copies, which
+      // the per-room contentHash index refuses - they merge into the first.
+      const photoIds = new Map();
+      const photoByHash = new Map();
+      const saved = new Set();
+      for (const source of manifest.photos || []) {
+        const entry = entries.get(source.file);
+        if (!entry) {
+          skipped.push({ file: source.file, reason: 'File missing from archive' });
+          continue;
+        }
+        if (entry.uncompressedSize > Math.max(UPLOAD_LIMITS.maxFileSize, UPLOAD_LIMITS.maxVideoSize)) {
+          skipped.push({ file: source.file, reason: 'File too large' });
+          continue;
+        }
+
+        const buffer = await readEntry(zip, entry);
+        const mimeType = sniffImageType(buffer) || sniffVideoType(buffer);
+        if (!mimeType) {
+          skipped.push({ file: source.file, reason: 'Not a supported image or video' });
+          continue;
+        }
+
+        // Keep the hash of the file as first uploaded so re-uploads still match
+        const contentHash = source.contentHash || contentHashOf(buffer);
+        if (photoByHash.has(contentHash)) {
+          photoIds.set(String(source._id), photoByHash.get(contentHash));
+          skipped.push({ file: source.file, reason: 'Duplicate of another photo, merged' });
+          continue;
+        }
+
+        const file = { buffer, size: buffer.length, originalname: source.originalName || path.basename(source.file) };
+        let stored;
+        try {
+          stored = await storeMedia(file, mimeType);
+        } catch (error) {
+          if (!(error instanceof UploadError)) throw error;
+          skipped.push({ file: source.file, reason: error.message });
+          continue;
+        }
+
+        const photo = new Photo({
+          ...stored,
+          _id: new mongoose.Types.ObjectId(),
+          roomName,
+          username: source.username,
+          originalName: source.originalName || '',
+          mimeType,
+          caption: source.caption || '',
+          tags: source.tags || [],
+          albums: remapAll(albumIds, source.albums),
+          reactions: source.reactions || [],
+          exif: source.exif || stored.exif,
+          takenAt: source.takenAt || stored.takenAt,
+          contentHash,
+          createdAt: source.createdAt,
+        });
+        // Tracked before saving so a failed save still has its files removed
+        created.push(photo);
+        await photo.save();
+        photoIds.set(String(source._id), photo._id);
+        photoByHash.set(contentHash, photo._id);
+        saved.add(String(source._id));
+        imported.photos++;
+      }
+
+      // Near-duplicate groups point at photos that now have new ids
+      for (const source of manifest.photos || []) {
+        const similarTo = remap(photoIds, source.similarTo);
+        if (similarTo && saved.has(String(source._id)) && !similarTo.equals(photoIds.get(String(source._id)))) {
+          await Photo.updateOne({ _id: photoIds.get(String(source._id)) }, { $set: { similarTo } });
+        }
+      }
+
+      // Comments: parents come first (oldest first), orphans are dropped
+      const commentIds = new Map();
+      const comments = [];
+      for (const comment of manifest.comments || []) {
+        const photoId = remap(photoIds, comment.photoId);
+        const parentId = remap(commentIds, comment.parentId);
+        if (!photoId || (comment.parentId && !parentId)) continue;
+
+        const _id = new mongoose.Types.ObjectId();
+        commentIds.set(String(comment._id), _id);
+        comments.push({ ...comment, _id, photoId, parentId, roomName });
+      }
+      await PhotoComment.insertMany(comments);
+      imported.comments = comments.length;
+
+      const commentCounts = new Map();
+      for (const { photoId } of comments) {
+        commentCounts.set(String(photoId), (commentCounts.get(String(photoId)) || 0) + 1);
+      }
+      if (commentCounts.size > 0) {
+        await Photo.bulkWrite(
+          [...commentCounts].map(([photoId, commentCount]) => ({
+            updateOne: { filter: { _id: photoId }, update: { $set: { commentCount } } },
+          }))
+        );
+      }
+
+      // Chat history; messages left with neither text nor photos are dropped
+      const messageIds = new Map();
+      for (const message of manifest.messages || []) {
+        messageIds.set(String(message._id), new mongoose.Types.ObjectId());
+      }
+      const messages = (manifest.messages || [])
+        .map((message) => ({
+          ...message,
+          _id: messageIds.get(String(message._id)),
+          roomName,
+          attachments: remapAll(photoIds, message.attachments),
+          replyTo: message.replyTo ? { ...message.replyTo, _id: remap(messageIds, message.replyTo._id) } : null,
+        }))
+        .filter((message) => message.message || message.attachments.length > 0);
+
+      for (let i = 0; i < messages.length; i += INSERT_BATCH_SIZE) {
+        await Chat.insertMany(messages.slice(i, i + INSERT_BATCH_SIZE));
+      }
+      imported.messages = messages.length;
+
+      return { room, imported, skipped };
+    } catch (error) {
+      await rollback(roomName, created);
+      throw error;
+    }
+  } finally {
+    zip.close();
+  }
+};
@@ -0,0 +1,76 @@
+import crypto from 'crypto';
+import Photo from './models/Photo.js';
+
+// ===========================================
+// 🔁 DUPLICATE DETECTION
+// ===========================================
+// Exact copies are found by a SHA-256 of the uploaded bytes and refused
+// (the uploader is pointed at the photo already in the room). Near copies -
+// the same shot resized, recompressed or re-exported - are found by the
+// perceptual hash (see images.js) and only flagged via Photo.similarTo.
+
+// Candidates for a similar photo are found through hash bands: the 8 bytes
+// of the perceptual hash, each tagged with its position. Hashes at most 7
+// bits apart differ in at most 7 bytes, so they share a band, and the
+// indexed Photo.hashBands narrows a room down to a few percent of its photos.
+const BAND_COUNT = 8;
+
+// Perceptual hashes this many bits apart (of 64) or fewer count as similar;
+// capped so the band lookup can't miss a match
+export const SIMILAR_DISTANCE = Math.min(Number(process.env.SIMILAR_PHOTO_DISTANCE) || 6, BAND_COUNT - 1);
+
+// Most candidates compared per upload, however big the room gets
+const MAX_SIMILAR_CANDIDATES = 500;
+
+export const hashBandsOf = (hash) =>
+  hash ? Array.from({ length: BAND_COUNT }, (_, i) => `${i}:${hash.slice(i * 2, i * 2 + 2)}`) : undefined;
+
+// Give photos hashed before bands existed their bands, in one update
+export const backfillHashBands = () =>
+  Photo.updateMany({ perceptualHash: { $type: 'string' }, hashBands: { $exists: false } }, [
+    {
+      $set: {
+        hashBands: {
+          $map: {
+            input: { $range: [0, BAND_COUNT] },
+            as: 'i',
+            in: {
+              $concat: [{ $toString: '$$i' }, ':', { $substrCP: ['$perceptualHash', { $multiply: ['$$i', 2] }, 2] }],
+            },
+          },
+        },
+      },
+    },
+  ]);
+
+export const contentHashOf = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+// Number of differing bits between two hex perceptual hashes
+export const hashDistance = (a, b) => {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+};
+
+export const findExactDuplicate = (roomName, contentHash) => Photo.findOne({ roomName, contentHash });
+
+// Id of the group a new photo joins: the first similar photo in the room,
+// or the photo that one was already grouped under. Null if none is similar.
+export const findSimilarGroup = async (roomName, hash) => {
+  if (!hash) return null;
+
+  const candidates = await Photo.find(
+    { roomName, hashBands: { $in: hashBandsOf(hash) } },
+    'perceptualHash similarTo'
+  )
+    .sort({ createdAt: 1, _id: 1 })
+    .limit(MAX_SIMILAR_CANDIDATES)
+    .lean();
+
+  const match = candidates.find((p) => hashDistance(p.perceptualHash, hash) <= SIMILAR_DISTANCE);
+  return match ? match.similarTo || match._id : null;
+};
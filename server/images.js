@@ -0,0 +1,163 @@
+import sharp from 'sharp';
+import exifReader from 'exif-reader';
+
+// ===========================================
+// 🖼️ IMAGE VARIANTS
+// ===========================================
+// Widths are upper bounds: small images are never upscaled
+export const VARIANT_WIDTHS = {
+  thumbnail: 320,
+  medium: 1280,
+};
+
+// Read the displayed dimensions of an image (EXIF orientation applied)
+export const readDimensions = async (buffer) => {
+  const { width, height, orientation } = await sharp(buffer).metadata();
+
+  // Orientations 5-8 are rotated 90°, so width and height swap on screen
+  if (orientation >= 5) {
+    return { width: height, height: width };
+  }
+  return { width, height };
+};
+
+// ===========================================
+// 🧾 EXIF & PRIVACY
+// ===========================================
+// Strip GPS and other identifying metadata from stored originals unless
+// the deployment explicitly opts out with STRIP_IMAGE_METADATA=false
+export const STRIP_METADATA = process.env.STRIP_IMAGE_METADATA !== 'false';
+
+// Re-encode settings per sniffed type when an original has to be rewritten
+const ENCODERS = {
+  'image/jpeg': (pipeline) => pipeline.jpeg({ quality: 92, mozjpeg: true }),
+  'image/png': (pipeline) => pipeline.png(),
+  'image/webp': (pipeline) => pipeline.webp({ quality: 92 }),
+};
+
+// "+02:00" -> minutes east of UTC, null if missing or malformed
+const parseOffset = (offset) => {
+  const match = /^([+-])(\d{2}):(\d{2})$/.exec(String(offset || '').trim());
+  if (!match) return null;
+  const minutes = Number(match[2]) * 60 + Number(match[3]);
+  return match[1] === '-' ? -minutes : minutes;
+};
+
+const cleanString = (value) => (typeof value === 'string' ? value.replace(/\0/g, '').trim() : undefined) || undefined;
+
+// The camera's clock has no timezone, so exif-reader reads it as UTC;
+// shift it when the camera also recorded its UTC offset
+const captureDateOf = (photoTags) => {
+  const date = photoTags.DateTimeOriginal || photoTags.DateTimeDigitized;
+  if (!(date instanceof Date) || Number.isNaN(date.getTime())) return undefined;
+
+  const offset = parseOffset(photoTags.OffsetTimeOriginal || photoTags.OffsetTime);
+  return offset === null ? date : new Date(date.getTime() - offset * 60000);
+};
+
+// Pick the fields worth keeping from raw EXIF - never location data
+const summarizeExif = (raw) => {
+  let tags;
+  try {
+    tags = exifReader(raw);
+  } catch {
+    return {};
+  }
+  const image = tags.Image || {};
+  const photo = tags.Photo || {};
+
+  return {
+    capturedAt: captureDateOf(photo),
+    make: cleanString(image.Make),
+    model: cleanString(image.Model),
+    lens: cleanString(photo.LensModel),
+    exposureTime: photo.ExposureTime,
+    fNumber: photo.FNumber,
+    iso: Array.isArray(photo.ISOSpeedRatings) ? photo.ISOSpeedRatings[0] : photo.ISOSpeedRatings,
+    focalLength: photo.FocalLength,
+  };
+};
+
+// Displayed dimensions, the EXIF summary saved on Photo.exif and, for
+// animated GIF/WebP, the total running time in seconds
+export const readMetadata = async (buffer) => {
+  const metadata = await sharp(buffer).metadata();
+  const { width, height } = await readDimensions(buffer);
+  const exif = metadata.exif ? summarizeExif(metadata.exif) : {};
+  const animated = (metadata.pages || 1) > 1;
+
+  return {
+    width,
+    height,
+    animated,
+    duration: animated ? (metadata.delay || []).reduce((sum, ms) => sum + ms, 0) / 1000 : undefined,
+    exif: { ...exif, orientation: metadata.orientation || 1 },
+  };
+};
+
+// Rewrite an original so it displays upright without relying on the
+// EXIF orientation flag and, when stripping, without any metadata except
+// the colour profile. Files needing neither (and animations, which sharp
+// can't rotate frame by frame) are returned untouched.
+export const sanitizeImage = async (buffer, mimeType) => {
+  const encode = ENCODERS[mimeType];
+  if (!encode) return buffer;
+
+  const { orientation, exif, xmp, iptc, pages } = await sharp(buffer).metadata();
+  const rotated = orientation > 1;
+  const hasMetadata = Boolean(exif || xmp || iptc);
+  if ((pages || 1) > 1 || (!rotated && !(STRIP_METADATA && hasMetadata))) {
+    return buffer;
+  }
+
+  const pipeline = sharp(buffer).rotate();
+  return encode(STRIP_METADATA ? pipeline.keepIccProfile() : pipeline.withMetadata()).toBuffer();
+};
+
+// ===========================================
+// 🧬 PERCEPTUAL HASH
+// ===========================================
+// 64-bit difference hash (dHash): shrink to 9x8 greyscale and record for each
+// pixel whether it is brighter than its right neighbour. Resizing,
+// recompression and small edits barely change it. Returned as 16 hex chars.
+export const perceptualHash = async (buffer) => {
+  const pixels = await sharp(buffer)
+    .rotate()
+    .removeAlpha()
+    .greyscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let hash = 0n;
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      const i = y * 9 + x;
+      hash = (hash << 1n) | (pixels[i] > pixels[i + 1] ? 1n : 0n);
+    }
+  }
+  return hash.toString(16).padStart(16, '0');
+};
+
+// Full-size WebP of a video frame, shown until playback starts
+export const encodePoster = async (buffer) => {
+  const { data, info } = await sharp(buffer).webp({ quality: 85 }).toBuffer({ resolveWithObject: true });
+  return { buffer: data, width: info.width, height: info.height };
+};
+
+// Produce resized WebP copies of an image for each variant width
+export const generateVariants = async (buffer) => {
+  const variants = {};
+
+  for (const [name, width] of Object.entries(VARIANT_WIDTHS)) {
+    const { data, info } = await sharp(buffer)
+      .rotate() // Bake EXIF orientation into the pixels
+      .resize({ width, withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer({ resolveWithObject: true });
+
+    variants[name] = { buffer: data, width: info.width, height: info.height };
+  }
+
+  return variants;
+};
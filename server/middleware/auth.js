@@ -0,0 +1,66 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+// ===========================================
+// 🔐 AUTHENTICATION (JWT in the Authorization header)
+// ===========================================
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.JWT_SECRET) {
+  console.warn('⚠️ JWT_SECRET not set - using a random secret, sessions will not survive a restart');
+}
+
+export const signToken = (user) => {
+  return jwt.sign({ sub: user._id.toString(), username: user.username }, JWT_SECRET, {
+    expiresIn: JWT_EXPIRES_IN,
+  });
+};
+
+// Resolve { id, username } from a token, or null if it is missing/invalid
+export const verifyToken = (token) => {
+  if (!token) return null;
+
+  try {
+    const payload = jwt.verify(token, JWT_SECRET);
+    return { id: payload.sub, username: payload.username };
+  } catch {
+    return null;
+  }
+};
+
+// Read "Authorization: Bearer <token>". EventSource can't set headers, so
+// the SSE route may also pass it as ?token=
+const readToken = (req) => {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) {
+    return header.slice('Bearer '.length);
+  }
+  return req.query.token;
+};
+
+// Middleware: reject unauthenticated requests, otherwise set req.user
+export const requireAuth = (req, res, next) => {
+  const user = verifyToken(readToken(req));
+
+  if (!user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  req.user = user;
+  next();
+};
+
+// Server admins, from ADMIN_USERNAMES (comma separated)
+const ADMIN_USERNAMES = (process.env.ADMIN_USERNAMES || '')
+  .split(',')
+  .map((name) => name.trim())
+  .filter(Boolean);
+
+// Middleware (after requireAuth): only server admins may continue
+export const requireAdmin = (req, res, next) => {
+  if (!ADMIN_USERNAMES.includes(req.user.username)) {
+    return res.status(403).json({ error: 'Admins only' });
+  }
+  next();
+};
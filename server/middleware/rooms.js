@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+import Room, { ROLE_RANK } from '../models/Room.js';
+import Photo from '../models/Photo.js';
+import Chat from '../models/Chat.js';
+
+// Rooms can be addressed by their ObjectId or by name
+export const findRoom = (idOrName) => {
+  if (mongoose.isValidObjectId(idOrName)) {
+    return Room.findOne({ $or: [{ _id: idOrName }, { name: idOrName }] });
+  }
+  return Room.findOne({ name: idOrName });
+};
+
+// Let the request through only if the user is a member of the room
+const admitMember = async (req, res, next, roomRef) => {
+  const room = await findRoom(roomRef);
+
+  if (!room) {
+    return res.status(404).json({ error: 'Room not found' });
+  }
+
+  if (room.roleOf(req.user.username) === 'banned') {
+    return res.status(403).json({ error: 'You are banned from this room' });
+  }
+
+  if (!room.isMember(req.user.username)) {
+    return res.status(403).json({ error: 'You are not a member of this room' });
+  }
+
+  req.room = room;
+  next();
+};
+
+// Middleware: only members of the room may continue. Must run after
+// requireAuth (and after multer on multipart routes so req.body is parsed).
+export const requireRoomMember = async (req, res, next) => {
+  try {
+    const roomRef = req.params.roomName || req.params.id || req.body.roomName;
+
+    if (!roomRef) {
+      return res.status(400).json({ error: 'roomName required' });
+    }
+
+    await admitMember(req, res, next, roomRef);
+  } catch (error) {
+    console.error('❌ Error checking room membership:', error);
+    res.status(500).json({ error: 'Failed to check room membership', details: error.message });
+  }
+};
+
+// Middleware factory for routes on a room's documents (/photos/:id,
+// /chat/:messageId): loads the document into req[as] and requires membership
+// of its room. Must run after requireAuth.
+const requireDocumentMember = (Model, param, as, label) => async (req, res, next) => {
+  try {
+    const id = req.params[param];
+    const doc = mongoose.isValidObjectId(id) ? await Model.findById(id) : null;
+
+    if (!doc) {
+      return res.status(404).json({ error: `${label} not found` });
+    }
+
+    req[as] = doc;
+    await admitMember(req, res, next, doc.roomName);
+  } catch (error) {
+    console.error('❌ Error checking room membership:', error);
+    res.status(500).json({ error: 'Failed to check room membership', details: error.message });
+  }
+};
+
+export const requirePhotoMember = requireDocumentMember(Photo, 'id', 'photo', 'Photo');
+export const requireMessageMember = requireDocumentMember(Chat, 'messageId', 'chat', 'Message');
+
+// Middleware: only owners and moderators may continue. Must run after requireRoomMember.
+export const requireRoomModerator = (req, res, next) => {
+  if (ROLE_RANK[req.room.roleOf(req.user.username)] < ROLE_RANK.moderator) {
+    return res.status(403).json({ error: 'Only room owners and moderators can do that' });
+  }
+  next();
+};
@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+// Named collection of photos within a room. Photos list the albums they're
+// in (Photo.albums), so one photo can be in several.
+const albumSchema = new mongoose.Schema({
+  roomName: {
+    type: String,
+    required: true,
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 60,
+  },
+  description: {
+    type: String,
+    default: '',
+    maxlength: 500,
+  },
+  createdBy: {
+    type: String,
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+albumSchema.index({ roomName: 1, name: 1 }, { unique: true });
+
+const Album = mongoose.model('Album', albumSchema);
+
+export default Album;
@@ -1,4 +1,20 @@
 import mongoose from 'mongoose';
+import reactionSchema from './reactionSchema.js';
+
+// Earlier text of an edited message
+const editSchema = new mongoose.Schema(
+  {
+    message: {
+      type: String,
+      default: '',
+    },
+    editedAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { _id: false }
+);
 
 const chatSchema = new mongoose.Schema({
   roomName: {
@@ -10,9 +26,50 @@ const chatSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  // May be empty when the message only carries attachments
   message: {
     type: String,
-    required: true,
+    default: '',
+    required: function () {
+      return this.attachments.length === 0;
+    },
+  },
+  // Photos shared in the message (existing gallery photos or new uploads)
+  attachments: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Photo' }],
+    default: [],
+  },
+  // Quoted reply: a snapshot of the parent, so the quote survives edits/deletes
+  replyTo: {
+    type: new mongoose.Schema(
+      {
+        _id: mongoose.Schema.Types.ObjectId,
+        username: String,
+        message: String,
+      },
+      { _id: false }
+    ),
+    default: null,
+  },
+  // Room members named with @username in the message
+  mentions: {
+    type: [String],
+    default: [],
+  },
+  // Emoji reactions, toggled per user (see reactions.js)
+  reactions: {
+    type: [reactionSchema],
+    default: [],
+  },
+  editedAt: {
+    type: Date,
+    default: null,
+  },
+  // Previous versions, oldest first; left out of chat pages (see /history)
+  edits: {
+    type: [editSchema],
+    default: [],
+    select: false,
   },
   createdAt: {
     type: Date,
@@ -21,6 +78,11 @@ const chatSchema = new mongoose.Schema({
   },
 });
 
+// Chat pages are read by cursor within a room
+chatSchema.index({ roomName: 1, createdAt: -1, _id: -1 });
+// Room search (GET /api/rooms/:roomName/search) - always scoped to one room
+chatSchema.index({ roomName: 1, message: 'text' });
+
 const Chat = mongoose.model('Chat', chatSchema);
 
 export default Chat;
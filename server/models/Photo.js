@@ -1,10 +1,143 @@
 import mongoose from 'mongoose';
+import reactionSchema from './reactionSchema.js';
+
+const variantSchema = new mongoose.Schema(
+  {
+    url: String,
+    key: String,
+    width: Number,
+    height: Number,
+  },
+  { _id: false }
+);
+
+// What the upload's EXIF said - location data is never copied here
+const exifSchema = new mongoose.Schema(
+  {
+    capturedAt: Date,
+    make: String,
+    model: String,
+    lens: String,
+    orientation: Number,
+    exposureTime: Number,
+    fNumber: Number,
+    iso: Number,
+    focalLength: Number,
+  },
+  { _id: false }
+);
 
 const photoSchema = new mongoose.Schema({
+  // 'image', 'animated' (GIF/WebP with several frames) or 'video'
+  mediaType: {
+    type: String,
+    enum: ['image', 'animated', 'video'],
+    default: 'image',
+  },
+  // Running time in seconds (videos and animations)
+  duration: {
+    type: Number,
+  },
+  // URL of the original file - an image or, for videos, the video itself
   imageUrl: {
     type: String,
     required: true,
   },
+  // Storage key of the file inside its backend (Cloudinary public_id or local path)
+  publicId: {
+    type: String,
+  },
+  // Which storage adapter holds the file ('cloudinary' | 'local')
+  storage: {
+    type: String,
+    default: 'cloudinary',
+  },
+  // Dimensions of the original as displayed (EXIF orientation applied)
+  width: {
+    type: Number,
+  },
+  height: {
+    type: Number,
+  },
+  // MIME type sniffed from the file contents
+  mimeType: {
+    type: String,
+  },
+  // Filename as uploaded, used when downloading
+  originalName: {
+    type: String,
+    default: '',
+  },
+  // Bytes used in storage (original + variants), counted against quotas
+  size: {
+    type: Number,
+    default: 0,
+  },
+  // Camera details from the upload's EXIF (see images.js)
+  exif: {
+    type: exifSchema,
+    default: () => ({}),
+  },
+  // When the photo was taken: EXIF capture time, else the upload time.
+  // Always set so the gallery can page by it (?sort=taken)
+  takenAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // SHA-256 of the uploaded bytes; unique per room (see duplicates.js)
+  contentHash: {
+    type: String,
+  },
+  // 64-bit dHash (16 hex chars) of the image or video poster
+  perceptualHash: {
+    type: String,
+  },
+  // The hash's bytes tagged with their position ("3:af"), for the indexed
+  // similar-photo lookup (see duplicates.js)
+  hashBands: {
+    type: [String],
+    default: undefined,
+    select: false,
+  },
+  // First photo of the near-duplicate group this one belongs to
+  similarTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Photo',
+  },
+  // Resized copies so the gallery never has to load the original. For
+  // videos these are made from the poster frame, kept full size in `poster`
+  variants: {
+    thumbnail: variantSchema,
+    medium: variantSchema,
+    poster: variantSchema,
+  },
+  // Albums this photo belongs to (see models/Album.js)
+  albums: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Album' }],
+    default: [],
+  },
+  // Shown under the photo and searchable
+  caption: {
+    type: String,
+    default: '',
+    trim: true,
+    maxlength: 500,
+  },
+  // Free-form tags, normalised to lowercase (see tags.js)
+  tags: {
+    type: [String],
+    default: [],
+  },
+  // Emoji reactions, toggled per user (see reactions.js)
+  reactions: {
+    type: [reactionSchema],
+    default: [],
+  },
+  // Kept in step with PhotoComment so the gallery can show counts cheaply
+  commentCount: {
+    type: Number,
+    default: 0,
+  },
   roomName: {
     type: String,
     required: true,
@@ -13,6 +146,7 @@ const photoSchema = new mongoose.Schema({
   username: {
     type: String,
     required: true,
+    index: true,
   },
   createdAt: {
     type: Date,
@@ -20,6 +154,23 @@ const photoSchema = new mongoose.Schema({
   },
 });
 
+// Gallery pages are read newest-first within a room
+photoSchema.index({ roomName: 1, createdAt: -1, _id: -1 });
+// One copy of a file per room; photos from before hashing have none
+photoSchema.index(
+  { roomName: 1, contentHash: 1 },
+  { unique: true, partialFilterExpression: { contentHash: { $type: 'string' } } }
+);
+// Similar-photo candidates by shared hash band
+photoSchema.index({ roomName: 1, hashBands: 1 });
+// Room search over captions and tags
+photoSchema.index({ roomName: 1, caption: 'text', tags: 'text' });
+// Gallery pages ordered by capture time
+photoSchema.index({ roomName: 1, takenAt: -1, _id: -1 });
+// Filtered gallery pages (?album=, ?tag=)
+photoSchema.index({ roomName: 1, albums: 1, createdAt: -1, _id: -1 });
+photoSchema.index({ roomName: 1, tags: 1, createdAt: -1, _id: -1 });
+
 const Photo = mongoose.model('Photo', photoSchema);
 
 export default Photo;
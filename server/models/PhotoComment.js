@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+// Comment on a photo. Replies point at their parent comment, forming threads.
+const photoCommentSchema = new mongoose.Schema({
+  photoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Photo',
+    required: true,
+  },
+  roomName: {
+    type: String,
+    required: true,
+  },
+  username: {
+    type: String,
+    required: true,
+  },
+  text: {
+    type: String,
+    required: true,
+    maxlength: 1000,
+  },
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PhotoComment',
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// A photo's thread is read oldest-first
+photoCommentSchema.index({ photoId: 1, createdAt: 1 });
+photoCommentSchema.index({ parentId: 1 });
+
+const PhotoComment = mongoose.model('PhotoComment', photoCommentSchema);
+
+export default PhotoComment;
@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+// Join/leave history for a room
+const presenceEventSchema = new mongoose.Schema({
+  roomName: {
+    type: String,
+    required: true,
+  },
+  username: {
+    type: String,
+    required: true,
+  },
+  // join | leave | timeout | kick
+  type: {
+    type: String,
+    enum: ['join', 'leave', 'timeout', 'kick'],
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+presenceEventSchema.index({ roomName: 1, createdAt: -1, _id: -1 });
+
+const PresenceEvent = mongoose.model('PresenceEvent', presenceEventSchema);
+
+export default PresenceEvent;
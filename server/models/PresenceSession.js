@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+// One document per open connection (browser tab) in a room, shared by every
+// server instance. A user is present while they have at least one session.
+const presenceSessionSchema = new mongoose.Schema({
+  roomName: {
+    type: String,
+    required: true,
+  },
+  username: {
+    type: String,
+    required: true,
+  },
+  sessionId: {
+    type: String,
+    required: true,
+  },
+  // 'active' or 'idle' (no input for a while / tab hidden)
+  status: {
+    type: String,
+    enum: ['active', 'idle'],
+    default: 'active',
+  },
+  // Photo open in this tab's lightbox, if any
+  viewingPhotoId: {
+    type: String,
+    default: null,
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lastSeen: {
+    type: Date,
+    default: Date.now,
+  },
+  // When viewingPhotoId last changed
+  viewingUpdatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // Safety net: MongoDB drops sessions nobody swept (e.g. every instance down)
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+presenceSessionSchema.index({ roomName: 1, username: 1, sessionId: 1 }, { unique: true });
+presenceSessionSchema.index({ lastSeen: 1 });
+presenceSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const PresenceSession = mongoose.model('PresenceSession', presenceSessionSchema);
+
+export default PresenceSession;
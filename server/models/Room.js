@@ -0,0 +1,162 @@
+import mongoose from 'mongoose';
+
+const memberSchema = new mongoose.Schema(
+  {
+    username: {
+      type: String,
+      required: true,
+    },
+    // The owner is tracked on the room itself, not as a member role
+    role: {
+      type: String,
+      enum: ['moderator', 'member'],
+      default: 'member',
+    },
+    // Muted members can read but not post to chat until this time
+    mutedUntil: {
+      type: Date,
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const inviteSchema = new mongoose.Schema(
+  {
+    token: {
+      type: String,
+      required: true,
+    },
+    createdBy: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+// Days after posting that content is deleted; unset keeps it forever
+const retentionSchema = new mongoose.Schema(
+  {
+    photoDays: {
+      type: Number,
+      min: 1,
+    },
+    chatDays: {
+      type: Number,
+      min: 1,
+    },
+  },
+  { _id: false }
+);
+
+const roomSchema = new mongoose.Schema({
+  // Rooms are still addressed by name everywhere (photos, chat, presence)
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+  },
+  // Unset on rooms adopted from before rooms existed, until an admin assigns one
+  owner: {
+    type: String,
+  },
+  // Optional join password (bcrypt hash)
+  passwordHash: {
+    type: String,
+  },
+  // Private rooms can only be joined through an invite link
+  visibility: {
+    type: String,
+    enum: ['public', 'private'],
+    default: 'public',
+  },
+  members: [memberSchema],
+  // Banned usernames can't rejoin, even with the password or an invite
+  banned: [String],
+  invites: [inviteSchema],
+  // Automatic cleanup policy (see retention.js)
+  retention: {
+    type: retentionSchema,
+    default: () => ({}),
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+roomSchema.index({ 'invites.token': 1 });
+
+// Room names end up in URLs, so they can't hold / ? or #
+export const ROOM_NAME_PATTERN = /^[^/?#]{1,60}$/;
+
+// Role ranks used for permission checks (higher outranks lower)
+export const ROLE_RANK = {
+  banned: -1,
+  member: 1,
+  moderator: 2,
+  owner: 3,
+};
+
+roomSchema.methods.getMember = function (username) {
+  return this.members.find((m) => m.username === username) || null;
+};
+
+// 'owner' | 'moderator' | 'member' | 'banned' | null (not a member)
+roomSchema.methods.roleOf = function (username) {
+  if (this.owner === username) return 'owner';
+  if (this.banned.includes(username)) return 'banned';
+  return this.getMember(username)?.role || null;
+};
+
+roomSchema.methods.isMember = function (username) {
+  return ROLE_RANK[this.roleOf(username)] > 0;
+};
+
+// Owners and moderators can moderate anyone ranked below them
+roomSchema.methods.canModerate = function (username, target) {
+  const rank = ROLE_RANK[this.roleOf(username)] || 0;
+  return rank >= ROLE_RANK.moderator && rank > (ROLE_RANK[this.roleOf(target)] || 0);
+};
+
+roomSchema.methods.isMuted = function (username) {
+  const mutedUntil = this.getMember(username)?.mutedUntil;
+  return Boolean(mutedUntil && mutedUntil > new Date());
+};
+
+roomSchema.methods.findValidInvite = function (token) {
+  if (!token) return null;
+  return this.invites.find((i) => i.token === token && i.expiresAt > new Date()) || null;
+};
+
+// Public view of a room - never leaks the password hash or invite tokens
+roomSchema.methods.toPublicJSON = function (username) {
+  return {
+    _id: this._id,
+    name: this.name,
+    owner: this.owner,
+    visibility: this.visibility,
+    hasPassword: Boolean(this.passwordHash),
+    memberCount: this.members.length,
+    isMember: this.isMember(username),
+    role: this.roleOf(username),
+    retention: {
+      photoDays: this.retention?.photoDays ?? null,
+      chatDays: this.retention?.chatDays ?? null,
+    },
+    createdAt: this.createdAt,
+  };
+};
+
+const Room = mongoose.model('Room', roomSchema);
+
+export default Room;
@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+
+// Room events relayed between server instances (see realtime.js). A capped
+// collection, so it can be tailed and never needs cleaning up.
+const roomEventSchema = new mongoose.Schema(
+  {
+    // Instance that published the event; it already delivered it locally
+    instance: {
+      type: String,
+      required: true,
+    },
+    roomName: {
+      type: String,
+      required: true,
+    },
+    // 'event' pushes `payload` (a serialized SSE message) to the room,
+    // 'disconnect' closes `username`'s streams in it
+    kind: {
+      type: String,
+      enum: ['event', 'disconnect'],
+      default: 'event',
+    },
+    payload: {
+      type: String,
+    },
+    username: {
+      type: String,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { capped: { size: 16 * 1024 * 1024, max: 10000 } }
+);
+
+const RoomEvent = mongoose.model('RoomEvent', roomEventSchema);
+
+export default RoomEvent;
@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+// State of a resumable (tus) upload. The bytes received so far live in a
+// temp file on disk, so both survive a server restart.
+const uploadSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: true,
+  },
+  roomName: {
+    type: String,
+    required: true,
+  },
+  filename: {
+    type: String,
+    default: 'upload',
+  },
+  filetype: {
+    type: String,
+  },
+  // Total size announced by the client (Upload-Length)
+  length: {
+    type: Number,
+    required: true,
+  },
+  // Bytes received so far (Upload-Offset)
+  offset: {
+    type: Number,
+    default: 0,
+  },
+  // Set once the last chunk has gone through the upload pipeline
+  photoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Photo',
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: true,
+  },
+});
+
+const Upload = mongoose.model('Upload', uploadSchema);
+
+export default Upload;
@@ -0,0 +1,19 @@
+import mongoose from 'mongoose';
+
+// One entry per emoji with everyone who reacted with it; embedded in any
+// document that can be reacted to (see reactions.js)
+const reactionSchema = new mongoose.Schema(
+  {
+    emoji: {
+      type: String,
+      required: true,
+    },
+    usernames: {
+      type: [String],
+      default: [],
+    },
+  },
+  { _id: false }
+);
+
+export default reactionSchema;
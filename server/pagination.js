@@ -0,0 +1,84 @@
+import mongoose from 'mongoose';
+
+// ===========================================
+// 📑 CURSOR PAGINATION
+// ===========================================
+// Cursors are "<sort date ms>,<_id>" so pages stay stable while new
+// documents arrive (unlike skip/limit). The sort date is createdAt unless
+// a query pages by another date field (e.g. Photo.takenAt).
+export const MAX_PAGE_SIZE = 100;
+
+export const encodeCursor = (doc, field = 'createdAt') =>
+  doc ? `${new Date(doc[field]).getTime()},${doc._id}` : null;
+
+// Returns { date, _id } or null for a missing/malformed cursor
+export const decodeCursor = (cursor) => {
+  if (typeof cursor !== 'string') return null;
+
+  const [time, id] = cursor.split(',');
+  const date = new Date(Number(time));
+  if (Number.isNaN(date.getTime()) || !mongoose.isValidObjectId(id)) {
+    return null;
+  }
+  return { date, _id: new mongoose.Types.ObjectId(id) };
+};
+
+// Filter for documents strictly older than the cursor
+export const olderThan = ({ date, _id }, field = 'createdAt') => ({
+  $or: [{ [field]: { $lt: date } }, { [field]: date, _id: { $lt: _id } }],
+});
+
+// Filter for documents strictly newer than the cursor
+export const newerThan = ({ date, _id }, field = 'createdAt') => ({
+  $or: [{ [field]: { $gt: date } }, { [field]: date, _id: { $gt: _id } }],
+});
+
+export const parseLimit = (limit, fallback) => {
+  const parsed = parseInt(limit, 10);
+  if (!Number.isFinite(parsed) || parsed <= 0) return fallback;
+  return Math.min(parsed, MAX_PAGE_SIZE);
+};
+
+// Run a cursor-paginated query. With no cursor returns the newest page
+// (newest first); `before` pages backwards (newest first); `since` returns
+// what was added after the cursor (oldest first) for incremental syncing.
+// `populate` is passed on to the query for referenced documents; `sortBy`
+// names the date field to order and page by. `since` always follows
+// createdAt: a new document can sort anywhere by another field, so only
+// arrival order catches every addition.
+export const findPage = async (
+  Model,
+  baseFilter,
+  { before, since, limit },
+  defaultLimit,
+  { populate, sortBy = 'createdAt' } = {}
+) => {
+  const beforeCursor = decodeCursor(before);
+  const sinceCursor = decodeCursor(since);
+  if ((before && !beforeCursor) || (since && !sinceCursor)) {
+    throw Object.assign(new Error('Invalid cursor'), { status: 400 });
+  }
+
+  const filter = { ...baseFilter };
+  const field = sinceCursor ? 'createdAt' : sortBy;
+  let sort = { [field]: -1, _id: -1 };
+  if (sinceCursor) {
+    Object.assign(filter, newerThan(sinceCursor, field));
+    sort = { [field]: 1, _id: 1 };
+  } else if (beforeCursor) {
+    Object.assign(filter, olderThan(beforeCursor, sortBy));
+  }
+
+  // Fetch one extra to know whether another page exists
+  const pageSize = parseLimit(limit, defaultLimit);
+  const query = Model.find(filter).sort(sort).limit(pageSize + 1);
+  const items = await (populate ? query.populate(populate) : query);
+  const hasMore = items.length > pageSize;
+  if (hasMore) items.pop();
+
+  return {
+    items,
+    hasMore,
+    nextCursor: encodeCursor(items[items.length - 1], field),
+  };
+};
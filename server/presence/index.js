@@ -0,0 +1,166 @@
+// ===========================================
+// 👥 USER PRESENCE STORE
+// ===========================================
+// Presence is tracked per session (one per open tab/connection), so a user
+// with two tabs stays present when one of them closes. Every store exposes
+// the same async session-level interface:
+//   upsertSession(roomName, username, sessionId, changes, { reset }) -> { created }
+//   removeSessions(roomName, username, sessionId?)  -> number removed (all of
+//                                                      the user's when omitted)
+//   listSessions(roomName, username?)                -> [session]
+//   sweep(timeout)                                   -> [{ roomName, username, sessionId }]
+// where session is { roomName, username, sessionId, status, viewingPhotoId,
+// joinedAt, lastSeen, viewingUpdatedAt } (ms timestamps).
+//
+// This module folds sessions into one entry per user:
+//   { username, joinedAt, lastSeen, status, viewingPhotoId, sessions }
+//
+// PRESENCE_STORE picks the store: 'mongo' (default, shared between server
+// instances and restarts) or 'memory' (single process). Join/leave history
+// is always written to MongoDB and only records users arriving or leaving,
+// not individual tabs.
+import memoryPresence from './memory.js';
+import mongoPresence from './mongo.js';
+import PresenceEvent from '../models/PresenceEvent.js';
+
+const stores = {
+  memory: memoryPresence,
+  mongo: mongoPresence,
+};
+
+const storeName = process.env.PRESENCE_STORE || 'mongo';
+
+if (!stores[storeName]) {
+  throw new Error(`Unknown PRESENCE_STORE "${storeName}" (expected one of: ${Object.keys(stores).join(', ')})`);
+}
+
+const store = stores[storeName];
+
+export const PRESENCE_STATUSES = ['active', 'idle'];
+
+// History is best-effort: a failed write must never break presence itself
+const record = (roomName, username, type) => {
+  PresenceEvent.create({ roomName, username, type }).catch((err) =>
+    console.error('❌ Failed to record presence event:', err)
+  );
+};
+
+// Fold sessions into one entry per user. A user is active if any tab is;
+// the viewing hint comes from whichever tab opened/closed a photo last.
+const aggregate = (sessions) => {
+  const byUser = new Map();
+
+  for (const session of sessions) {
+    const entry = byUser.get(session.username);
+    if (!entry) {
+      byUser.set(session.username, {
+        username: session.username,
+        joinedAt: session.joinedAt,
+        lastSeen: session.lastSeen,
+        status: session.status,
+        viewingPhotoId: session.viewingPhotoId,
+        sessions: 1,
+        viewingUpdatedAt: session.viewingUpdatedAt,
+      });
+      continue;
+    }
+
+    entry.joinedAt = Math.min(entry.joinedAt, session.joinedAt);
+    entry.lastSeen = Math.max(entry.lastSeen, session.lastSeen);
+    if (session.status === 'active') entry.status = 'active';
+    if (session.viewingUpdatedAt > entry.viewingUpdatedAt) {
+      entry.viewingPhotoId = session.viewingPhotoId;
+      entry.viewingUpdatedAt = session.viewingUpdatedAt;
+    }
+    entry.sessions++;
+  }
+
+  return [...byUser.values()]
+    .map(({ viewingUpdatedAt, ...entry }) => entry)
+    .sort((a, b) => a.joinedAt - b.joinedAt);
+};
+
+const entryOf = async (roomName, username) =>
+  aggregate(await store.listSessions(roomName, username))[0] || null;
+
+// Did anything other users can see change between two entries?
+const hasChanged = (before, after) =>
+  !before || !after ||
+  before.status !== after.status ||
+  before.viewingPhotoId !== after.viewingPhotoId ||
+  before.sessions !== after.sessions;
+
+// Only persist state the client actually reported
+const pickState = ({ status, viewingPhotoId } = {}) => {
+  const changes = {};
+  if (PRESENCE_STATUSES.includes(status)) changes.status = status;
+  if (viewingPhotoId !== undefined) changes.viewingPhotoId = viewingPhotoId ? String(viewingPhotoId) : null;
+  return changes;
+};
+
+const presence = {
+  name: store.name,
+
+  // Open (or reopen) a session. created: the user wasn't present before.
+  join: async (roomName, username, sessionId) => {
+    const before = await entryOf(roomName, username);
+    await store.upsertSession(roomName, username, sessionId, {}, { reset: true });
+    const entry = await entryOf(roomName, username);
+
+    if (!before) {
+      record(roomName, username, 'join');
+    }
+    return { entry, created: !before, changed: hasChanged(before, entry) };
+  },
+
+  // Keep a session alive, optionally reporting { status, viewingPhotoId }
+  heartbeat: async (roomName, username, sessionId, state) => {
+    const before = await entryOf(roomName, username);
+    await store.upsertSession(roomName, username, sessionId, pickState(state));
+    const entry = await entryOf(roomName, username);
+
+    // Users the store had forgotten (restart, timeout) count as rejoining
+    if (!before) {
+      record(roomName, username, 'join');
+    }
+    return { entry, created: !before, changed: hasChanged(before, entry) };
+  },
+
+  // Close one session, or all of them (sessionId omitted, e.g. kicks).
+  // left: this was the user's last session. reason: 'leave' | 'kick'
+  leave: async (roomName, username, sessionId, reason = 'leave') => {
+    const removed = await store.removeSessions(roomName, username, sessionId);
+    if (removed === 0) {
+      return { removed: false, left: false, entry: null };
+    }
+
+    const entry = await entryOf(roomName, username);
+    if (!entry) {
+      record(roomName, username, reason);
+    }
+    return { removed: true, left: !entry, entry };
+  },
+
+  list: async (roomName) => aggregate(await store.listSessions(roomName)),
+
+  // Drop stale sessions; returns one result per affected user
+  sweep: async (timeout) => {
+    const removed = await store.sweep(timeout);
+    const affected = new Map();
+    for (const { roomName, username } of removed) {
+      affected.set(`${roomName}:${username}`, { roomName, username });
+    }
+
+    const results = [];
+    for (const { roomName, username } of affected.values()) {
+      const entry = await entryOf(roomName, username);
+      if (!entry) {
+        record(roomName, username, 'timeout');
+      }
+      results.push({ roomName, username, left: !entry, entry });
+    }
+    return results;
+  },
+};
+
+export default presence;
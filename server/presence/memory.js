@@ -0,0 +1,81 @@
+// In-memory presence: fast, but per-process and lost on restart.
+// Structure: { roomName: { "username:sessionId": session } }
+const sessions = {};
+
+const keyOf = (username, sessionId) => `${username}:${sessionId}`;
+
+const upsertSession = async (roomName, username, sessionId, changes = {}, { reset = false } = {}) => {
+  if (!sessions[roomName]) {
+    sessions[roomName] = {};
+  }
+
+  const key = keyOf(username, sessionId);
+  const existing = sessions[roomName][key];
+  const now = Date.now();
+
+  sessions[roomName][key] = {
+    status: 'active',
+    viewingPhotoId: null,
+    ...(reset ? {} : existing),
+    ...changes,
+    username,
+    sessionId,
+    joinedAt: !reset && existing ? existing.joinedAt : now,
+    lastSeen: now,
+    viewingUpdatedAt: 'viewingPhotoId' in changes || reset || !existing ? now : existing.viewingUpdatedAt,
+  };
+
+  return { created: !existing };
+};
+
+// Remove one session, or every session of the user when sessionId is omitted
+const removeSessions = async (roomName, username, sessionId) => {
+  if (!sessions[roomName]) return 0;
+
+  let removed = 0;
+  for (const key of Object.keys(sessions[roomName])) {
+    const session = sessions[roomName][key];
+    if (session.username === username && (!sessionId || session.sessionId === sessionId)) {
+      delete sessions[roomName][key];
+      removed++;
+    }
+  }
+
+  // Remove empty rooms
+  if (Object.keys(sessions[roomName]).length === 0) {
+    delete sessions[roomName];
+  }
+  return removed;
+};
+
+const listSessions = async (roomName, username) => {
+  if (!sessions[roomName]) return [];
+
+  return Object.values(sessions[roomName])
+    .filter((session) => !username || session.username === username)
+    .map((session) => ({ roomName, ...session }));
+};
+
+// Remove sessions not seen for `timeout` ms and report which were removed
+const sweep = async (timeout) => {
+  const now = Date.now();
+  const removed = [];
+
+  for (const roomName in sessions) {
+    for (const session of Object.values(sessions[roomName])) {
+      if (now - session.lastSeen > timeout) {
+        await removeSessions(roomName, session.username, session.sessionId);
+        removed.push({ roomName, username: session.username, sessionId: session.sessionId });
+      }
+    }
+  }
+  return removed;
+};
+
+export default {
+  name: 'memory',
+  upsertSession,
+  removeSessions,
+  listSessions,
+  sweep,
+};
@@ -0,0 +1,84 @@
+import PresenceSession from '../models/PresenceSession.js';
+
+// MongoDB presence: shared by every server instance and survives restarts.
+// Sessions expire on their own (TTL index) if no instance sweeps them.
+const EXPIRE_AFTER = 10 * 60 * 1000;
+
+const toSession = (doc) => ({
+  roomName: doc.roomName,
+  username: doc.username,
+  sessionId: doc.sessionId,
+  status: doc.status,
+  viewingPhotoId: doc.viewingPhotoId,
+  joinedAt: doc.joinedAt.getTime(),
+  lastSeen: doc.lastSeen.getTime(),
+  viewingUpdatedAt: doc.viewingUpdatedAt.getTime(),
+});
+
+const upsertSession = async (roomName, username, sessionId, changes = {}, { reset = false } = {}) => {
+  const now = new Date();
+  const update = {
+    ...changes,
+    lastSeen: now,
+    expiresAt: new Date(now.getTime() + EXPIRE_AFTER),
+  };
+  if ('viewingPhotoId' in changes) {
+    update.viewingUpdatedAt = now;
+  }
+
+  const onInsert = {};
+  if (reset) {
+    Object.assign(update, { status: 'active', viewingPhotoId: null, joinedAt: now, viewingUpdatedAt: now, ...changes });
+  } else {
+    onInsert.joinedAt = now;
+    if (!update.viewingUpdatedAt) onInsert.viewingUpdatedAt = now;
+  }
+
+  const result = await PresenceSession.findOneAndUpdate(
+    { roomName, username, sessionId },
+    { $set: update, $setOnInsert: onInsert },
+    { upsert: true, new: true, rawResult: true }
+  );
+  return { created: !result.lastErrorObject?.updatedExisting };
+};
+
+// Remove one session, or every session of the user when sessionId is omitted
+const removeSessions = async (roomName, username, sessionId) => {
+  const filter = { roomName, username };
+  if (sessionId) filter.sessionId = sessionId;
+
+  const { deletedCount } = await PresenceSession.deleteMany(filter);
+  return deletedCount;
+};
+
+const listSessions = async (roomName, username) => {
+  const filter = { roomName };
+  if (username) filter.username = username;
+
+  const docs = await PresenceSession.find(filter).sort({ joinedAt: 1 });
+  return docs.map(toSession);
+};
+
+// Several instances may sweep at once; only the one whose delete succeeds
+// reports the removal, so each timeout is announced once
+const sweep = async (timeout) => {
+  const cutoff = new Date(Date.now() - timeout);
+  const stale = await PresenceSession.find({ lastSeen: { $lt: cutoff } });
+  const removed = [];
+
+  for (const doc of stale) {
+    const { deletedCount } = await PresenceSession.deleteOne({ _id: doc._id, lastSeen: { $lt: cutoff } });
+    if (deletedCount > 0) {
+      removed.push({ roomName: doc.roomName, username: doc.username, sessionId: doc.sessionId });
+    }
+  }
+  return removed;
+};
+
+export default {
+  name: 'mongo',
+  upsertSession,
+  removeSessions,
+  listSessions,
+  sweep,
+};
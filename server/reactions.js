@@ -0,0 +1,61 @@
+// ===========================================
+// 😀 EMOJI REACTIONS
+// ===========================================
+// Shared by every model with a `reactions: [reactionSchema]` field.
+// Each user can react once per emoji; reacting again removes it.
+
+// Distinct emojis allowed on one document
+export const MAX_REACTION_EMOJIS = 20;
+
+// A single emoji (including ZWJ sequences and skin tones), nothing else
+const EMOJI_PATTERN = /^(?:\p{Extended_Pictographic}|\p{Regional_Indicator})[\p{Extended_Pictographic}\p{Emoji_Modifier}\p{Regional_Indicator}‍️]*$/u;
+
+export const isValidEmoji = (emoji) =>
+  typeof emoji === 'string' && emoji.length <= 16 && EMOJI_PATTERN.test(emoji);
+
+// Toggle `username`'s `emoji` reaction on a document.
+// Returns { reacted } or null when the document is gone; throws
+// { status: 400 } when a new emoji would exceed MAX_REACTION_EMOJIS.
+export const toggleReaction = async (Model, id, emoji, username) => {
+  // Already reacted: take it back
+  const removed = await Model.updateOne(
+    { _id: id, reactions: { $elemMatch: { emoji, usernames: username } } },
+    { $pull: { 'reactions.$.usernames': username } }
+  );
+  if (removed.modifiedCount > 0) {
+    await Model.updateOne({ _id: id }, { $pull: { reactions: { usernames: { $size: 0 } } } });
+    return { reacted: false };
+  }
+
+  // Someone already used this emoji: join them
+  const join = () =>
+    Model.updateOne({ _id: id, 'reactions.emoji': emoji }, { $addToSet: { 'reactions.$.usernames': username } });
+  if ((await join()).matchedCount > 0) {
+    return { reacted: true };
+  }
+
+  // First use of this emoji
+  const added = await Model.updateOne(
+    {
+      _id: id,
+      'reactions.emoji': { $ne: emoji },
+      [`reactions.${MAX_REACTION_EMOJIS - 1}`]: { $exists: false },
+    },
+    { $push: { reactions: { emoji, usernames: [username] } } }
+  );
+  // Lost a race with someone adding the same emoji
+  if (added.matchedCount > 0 || (await join()).matchedCount > 0) {
+    return { reacted: true };
+  }
+
+  if (!(await Model.exists({ _id: id }))) {
+    return null;
+  }
+  const error = new Error(`At most ${MAX_REACTION_EMOJIS} different reactions are allowed`);
+  error.status = 400;
+  throw error;
+};
+
+// [{ emoji, count, usernames }] for API responses
+export const summarizeReactions = (reactions = []) =>
+  reactions.map(({ emoji, usernames }) => ({ emoji, count: usernames.length, usernames }));
@@ -0,0 +1,143 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import RoomEvent from './models/RoomEvent.js';
+
+// ===========================================
+// 📡 REAL-TIME ROOM EVENTS (Server-Sent Events)
+// ===========================================
+// Clients open one long-lived GET stream per room and the server pushes
+// room events down it (photo uploaded, chat sent/deleted, user joined/left).
+// Structure: { roomName: Set<{ res, username, sessionId }> }
+//
+// Streams live in the memory of the instance that accepted them. Running
+// more than one instance needs REALTIME_FANOUT=mongo: every event is then
+// also written to the capped RoomEvent collection, which each instance
+// tails (startFanout) to reach its own subscribers. Without it, events
+// only reach clients connected to the instance that handled the write.
+const subscribers = {};
+
+const FANOUT = process.env.REALTIME_FANOUT === 'mongo';
+const INSTANCE_ID = crypto.randomUUID();
+// Wait before tailing again after the cursor ends or fails
+const FANOUT_RETRY = 1000;
+
+// Keep-alive comment interval so proxies don't close idle streams
+const PING_INTERVAL = 25000;
+
+// Open an SSE stream for a room and register the subscriber
+export const subscribe = (req, res, roomName, username, sessionId) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.write('retry: 3000\n\n');
+
+  if (!subscribers[roomName]) {
+    subscribers[roomName] = new Set();
+  }
+
+  const subscriber = { res, username, sessionId };
+  subscribers[roomName].add(subscriber);
+
+  const ping = setInterval(() => res.write(': ping\n\n'), PING_INTERVAL);
+
+  const unsubscribe = () => {
+    clearInterval(ping);
+    if (!subscribers[roomName]) return;
+    subscribers[roomName].delete(subscriber);
+    if (subscribers[roomName].size === 0) {
+      delete subscribers[roomName];
+    }
+  };
+
+  req.on('close', unsubscribe);
+  return unsubscribe;
+};
+
+const deliver = (roomName, payload) => {
+  if (!subscribers[roomName]) return;
+
+  for (const { res } of subscribers[roomName]) {
+    res.write(payload);
+  }
+};
+
+const closeStreams = (roomName, username) => {
+  if (!subscribers[roomName]) return;
+
+  for (const subscriber of subscribers[roomName]) {
+    if (subscriber.username === username) {
+      subscriber.res.end();
+    }
+  }
+};
+
+// Hand an event to the other instances (REALTIME_FANOUT=mongo only)
+const publish = (roomName, fields) => {
+  if (!FANOUT) return;
+  RoomEvent.create({ instance: INSTANCE_ID, roomName, ...fields }).catch((error) =>
+    console.error('❌ Could not relay room event:', error.message)
+  );
+};
+
+// Push an event to every subscriber in a room
+export const broadcast = (roomName, event, data) => {
+  const payload = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  deliver(roomName, payload);
+  publish(roomName, { kind: 'event', payload });
+};
+
+// Every (room, user, session) with an open stream on this instance
+export const listConnections = () => {
+  const connections = new Map();
+
+  for (const roomName in subscribers) {
+    for (const { username, sessionId } of subscribers[roomName]) {
+      connections.set(`${roomName}:${username}:${sessionId}`, { roomName, username, sessionId });
+    }
+  }
+  return [...connections.values()];
+};
+
+// Close every stream a user holds in a room (e.g. after being kicked)
+export const disconnect = (roomName, username) => {
+  closeStreams(roomName, username);
+  publish(roomName, { kind: 'disconnect', username });
+};
+
+// Deliver events other instances publish. Call once connected to MongoDB;
+// does nothing unless REALTIME_FANOUT=mongo. A tailable cursor ends when the
+// collection is empty or the connection drops, so it is reopened after the
+// last event seen.
+export const startFanout = async () => {
+  if (!FANOUT) return;
+  console.log('📡 Relaying room events between instances through MongoDB');
+
+  await RoomEvent.init();
+  let lastId = new mongoose.Types.ObjectId();
+
+  for (;;) {
+    try {
+      const cursor = RoomEvent.find({ _id: { $gt: lastId } })
+        .tailable(true, { awaitData: true })
+        .lean()
+        .cursor();
+
+      for await (const doc of cursor) {
+        lastId = doc._id;
+        if (doc.instance === INSTANCE_ID) continue;
+
+        if (doc.kind === 'disconnect') {
+          closeStreams(doc.roomName, doc.username);
+        } else {
+          deliver(doc.roomName, doc.payload);
+        }
+      }
+    } catch (error) {
+      console.error('❌ Room event relay interrupted:', error.message);
+    }
+    await new Promise((resolve) => setTimeout(resolve, FANOUT_RETRY));
+  }
+};
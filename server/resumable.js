@@ -0,0 +1,125 @@
+import fs from 'fs';
+import fsp from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import Upload from './models/Upload.js';
+
+// ===========================================
+// ⏯️ RESUMABLE UPLOADS (tus 1.0.0 protocol)
+// ===========================================
+// Supports the core protocol plus the creation and termination extensions:
+//   POST   /api/uploads/resumable       create an upload (Upload-Length, Upload-Metadata)
+//   HEAD   /api/uploads/resumable/:id   how many bytes the server has (Upload-Offset)
+//   PATCH  /api/uploads/resumable/:id   append a chunk at Upload-Offset
+//   DELETE /api/uploads/resumable/:id   abandon an upload
+// The upload is finalized (run through the normal pipeline) when the last
+// chunk arrives.
+export const TUS_VERSION = '1.0.0';
+export const TUS_EXTENSIONS = 'creation,termination';
+
+const MB = 1024 * 1024;
+export const MAX_RESUMABLE_SIZE = Number(process.env.MAX_RESUMABLE_BYTES) || 100 * MB;
+
+// Unfinished uploads are discarded after this long
+const UPLOAD_TTL = 24 * 60 * 60 * 1000;
+
+const tempDir = path.resolve(process.env.UPLOAD_TMP_DIR || path.join(os.tmpdir(), 'vibeshare-uploads'));
+
+export const tempPathOf = (upload) => path.join(tempDir, upload._id.toString());
+
+// Upload-Metadata: "key base64value,key base64value"
+export const parseMetadata = (header = '') => {
+  const metadata = {};
+
+  for (const pair of header.split(',')) {
+    const [key, value] = pair.trim().split(' ');
+    if (!key) continue;
+    metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+  }
+  return metadata;
+};
+
+export const createUpload = async ({ username, roomName, filename, filetype, length }) => {
+  const upload = new Upload({
+    username,
+    roomName,
+    filename,
+    filetype,
+    length,
+    expiresAt: new Date(Date.now() + UPLOAD_TTL),
+  });
+
+  await fsp.mkdir(tempDir, { recursive: true });
+  await fsp.writeFile(tempPathOf(upload), '');
+  await upload.save();
+
+  return upload;
+};
+
+// Stream the request body into the temp file at the upload's offset. Keeps
+// whatever arrived if the connection drops, which is what makes it resumable.
+export const appendChunk = (upload, req) => {
+  return new Promise((resolve, reject) => {
+    const remaining = upload.length - upload.offset;
+    let received = 0;
+
+    const out = fs.createWriteStream(tempPathOf(upload), { flags: 'r+', start: upload.offset });
+
+    const finish = () => resolve(upload.offset + Math.min(received, remaining));
+
+    req.on('data', (chunk) => {
+      received += chunk.length;
+      if (received > remaining) {
+        req.unpipe(out);
+        out.end();
+        reject(Object.assign(new Error('Chunk exceeds Upload-Length'), { status: 413 }));
+      }
+    });
+    req.on('aborted', () => out.end());
+    out.on('close', finish);
+    out.on('error', reject);
+
+    req.pipe(out);
+  });
+};
+
+export const readUploadedFile = async (upload) => ({
+  // Anything past Upload-Length is a rejected overrun, never part of the file
+  buffer: (await fsp.readFile(tempPathOf(upload))).subarray(0, upload.length),
+  originalname: upload.filename,
+  mimetype: upload.filetype,
+  size: upload.length,
+});
+
+// Record the offset a chunk reached, unless another PATCH moved the upload
+// on first (two requests at the same offset). Resolves with the updated
+// upload, or null if this request lost and must answer 409.
+export const commitOffset = (upload, offset) =>
+  Upload.findOneAndUpdate({ _id: upload._id, offset: upload.offset }, { $set: { offset } }, { new: true });
+
+// A fully received upload that failed to finalize for a server-side reason
+// (storage, database). tus has no "received but not processed" state, so
+// step the offset back one byte: the client's retry (HEAD, then PATCH)
+// re-sends the last byte and finalizing runs again.
+export const reopenUpload = (upload) =>
+  Upload.updateOne({ _id: upload._id, photoId: { $exists: false } }, { $set: { offset: upload.length - 1 } });
+
+// Free the temp file; the Upload record can stay (HEAD reports its photoId)
+export const removeTempFile = (upload) => fsp.rm(tempPathOf(upload), { force: true });
+
+export const discardUpload = async (upload) => {
+  await removeTempFile(upload);
+  await Upload.deleteOne({ _id: upload._id });
+};
+
+// Remove unfinished uploads (and their temp files) that have expired
+export const cleanupExpiredUploads = async () => {
+  const expired = await Upload.find({ expiresAt: { $lt: new Date() } });
+
+  for (const upload of expired) {
+    await discardUpload(upload);
+  }
+  if (expired.length > 0) {
+    console.log(`🧹 Removed ${expired.length} expired resumable upload(s)`);
+  }
+};
@@ -0,0 +1,178 @@
+import Room from './models/Room.js';
+import Photo from './models/Photo.js';
+import Chat from './models/Chat.js';
+import { deletePhoto } from './uploads.js';
+import { broadcast } from './realtime.js';
+
+// ===========================================
+// ⏳ RETENTION
+// ===========================================
+// Rooms may delete photos and chat messages a number of days after they
+// were posted (Room.retention). purgeExpired runs on a timer and works in
+// batches so a big backlog never holds thousands of documents at once.
+export const MAX_RETENTION_DAYS = 3650;
+export const RETENTION_BATCH_SIZE = Number(process.env.RETENTION_BATCH_SIZE) || 100;
+// How far ahead members are warned about content about to expire
+export const RETENTION_WARNING = (Number(process.env.RETENTION_WARNING_HOURS) || 48) * 60 * 60 * 1000;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Days must be a whole number in range; null/0/'' turns the policy off.
+// Throws { status: 400 }.
+export const parseRetentionDays = (value, label) => {
+  if (value === null || value === undefined || value === '' || value === 0) return undefined;
+
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_RETENTION_DAYS) {
+    throw Object.assign(new Error(`${label} must be 1-${MAX_RETENTION_DAYS} days, or empty to keep forever`), {
+      status: 400,
+    });
+  }
+  return days;
+};
+
+// Content posted before this (shifted by `ahead` ms) has expired
+const cutoffOf = (days, now, ahead = 0) => (days ? new Date(now.getTime() + ahead - days * DAY) : null);
+
+// { photos, messages } filters for what has expired `ahead` ms from `now`;
+// null where the room keeps that content forever
+const expiredFilters = (room, now, ahead = 0) => {
+  const photoCutoff = cutoffOf(room.retention?.photoDays, now, ahead);
+  const chatCutoff = cutoffOf(room.retention?.chatDays, now, ahead);
+
+  return {
+    photos: photoCutoff && { roomName: room.name, createdAt: { $lt: photoCutoff } },
+    messages: chatCutoff && { roomName: room.name, createdAt: { $lt: chatCutoff } },
+  };
+};
+
+const roomsWithRetention = (roomName) =>
+  Room.find({
+    ...(roomName && { name: roomName }),
+    $or: [{ 'retention.photoDays': { $gte: 1 } }, { 'retention.chatDays': { $gte: 1 } }],
+  });
+
+// What members of a room should be warned about: how much expires within
+// RETENTION_WARNING and when the next item goes
+export const retentionStatus = async (room, now = new Date()) => {
+  const soon = expiredFilters(room, now, RETENTION_WARNING);
+
+  const [photos, messages, oldestPhoto, oldestMessage] = await Promise.all([
+    soon.photos ? Photo.countDocuments(soon.photos) : 0,
+    soon.messages ? Chat.countDocuments(soon.messages) : 0,
+    soon.photos ? Photo.findOne(soon.photos, 'createdAt').sort({ createdAt: 1 }) : null,
+    soon.messages ? Chat.findOne(soon.messages, 'createdAt').sort({ createdAt: 1 }) : null,
+  ]);
+
+  const expiryOf = (doc, days) => doc && new Date(Math.max(now.getTime(), doc.createdAt.getTime() + days * DAY));
+
+  return {
+    retention: room.toPublicJSON().retention,
+    warningHours: RETENTION_WARNING / (60 * 60 * 1000),
+    expiringSoon: { photos, messages },
+    nextExpiry: {
+      photos: expiryOf(oldestPhoto, room.retention?.photoDays),
+      messages: expiryOf(oldestMessage, room.retention?.chatDays),
+    },
+  };
+};
+
+// Dry run: what a purge at `now` would delete, per room with a policy
+export const retentionReport = async ({ roomName, now = new Date() } = {}) => {
+  const rooms = await roomsWithRetention(roomName);
+
+  const report = [];
+  for (const room of rooms) {
+    const expired = expiredFilters(room, now);
+    const [photoStats] = expired.photos
+      ? await Photo.aggregate([
+        { $match: expired.photos },
+        { $group: { _id: null, count: { $sum: 1 }, bytes: { $sum: '$size' }, oldest: { $min: '$createdAt' } } },
+      ])
+      : [];
+    const messages = expired.messages ? await Chat.countDocuments(expired.messages) : 0;
+
+    report.push({
+      roomName: room.name,
+      retention: room.toPublicJSON().retention,
+      photos: photoStats?.count || 0,
+      bytes: photoStats?.bytes || 0,
+      oldestPhoto: photoStats?.oldest || null,
+      messages,
+    });
+  }
+
+  return {
+    generatedAt: now,
+    rooms: report,
+    totals: {
+      photos: report.reduce((sum, r) => sum + r.photos, 0),
+      bytes: report.reduce((sum, r) => sum + r.bytes, 0),
+      messages: report.reduce((sum, r) => sum + r.messages, 0),
+    },
+  };
+};
+
+// Delete a room's expired photos (storage first, see deletePhoto). A photo
+// whose files can't be removed is skipped and retried on the next run.
+const purgePhotos = async (room, filter) => {
+  let deleted = 0;
+  const failed = [];
+
+  for (;;) {
+    const batch = await Photo.find({ ...filter, _id: { $nin: failed } })
+      .sort({ createdAt: 1 })
+      .limit(RETENTION_BATCH_SIZE);
+    if (batch.length === 0) break;
+
+    for (const photo of batch) {
+      try {
+        await deletePhoto(photo);
+        broadcast(room.name, 'photo:deleted', { _id: photo._id });
+        deleted++;
+      } catch (error) {
+        console.error(`❌ Retention could not delete photo ${photo._id}:`, error.message);
+        failed.push(photo._id);
+      }
+    }
+  }
+  return deleted;
+};
+
+// Delete a room's expired messages and blank the quotes of them that
+// newer replies carry, so the text doesn't outlive its retention
+const purgeMessages = async (room, filter) => {
+  let deleted = 0;
+
+  for (;;) {
+    const ids = (await Chat.find(filter, '_id').sort({ createdAt: 1 }).limit(RETENTION_BATCH_SIZE)).map((c) => c._id);
+    if (ids.length === 0) break;
+
+    await Chat.deleteMany({ _id: { $in: ids } });
+    await Chat.updateMany({ 'replyTo._id': { $in: ids } }, { $set: { 'replyTo.message': '' } });
+    for (const _id of ids) {
+      broadcast(room.name, 'chat:deleted', { _id });
+    }
+    deleted += ids.length;
+  }
+  return deleted;
+};
+
+// Purge everything past its room's retention period
+export const purgeExpired = async (now = new Date()) => {
+  const rooms = await roomsWithRetention();
+  const totals = { photos: 0, messages: 0 };
+
+  for (const room of rooms) {
+    const expired = expiredFilters(room, now);
+    const photos = expired.photos ? await purgePhotos(room, expired.photos) : 0;
+    const messages = expired.messages ? await purgeMessages(room, expired.messages) : 0;
+
+    if (photos || messages) {
+      console.log(`⏳ Retention removed ${photos} photo(s) and ${messages} message(s) from ${room.name}`);
+    }
+    totals.photos += photos;
+    totals.messages += messages;
+  }
+  return totals;
+};
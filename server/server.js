@@ -1,167 +1,1636 @@
+import 'dotenv/config'; // Must load before modules that read process.env
 import express from 'express';
 import mongoose from 'mongoose';
 import cors from 'cors';
 import multer from 'multer';
-import dotenv from 'dotenv';
-import cloudinary from 'cloudinary';
-import stream from 'stream'; // Native Node module
+import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import storage from './storage/index.js';
 import Photo from './models/Photo.js';
 import Chat from './models/Chat.js'; 
+import User from './models/User.js';
+import Room, { ROLE_RANK, ROOM_NAME_PATTERN } from './models/Room.js';
+import Upload from './models/Upload.js';
+import PresenceEvent from './models/PresenceEvent.js';
+import PhotoComment from './models/PhotoComment.js';
+import Album from './models/Album.js';
+import { requireAuth, requireAdmin, signToken } from './middleware/auth.js';
+import {
+  findRoom,
+  requireRoomMember,
+  requireRoomModerator,
+  requirePhotoMember,
+  requireMessageMember,
+} from './middleware/rooms.js';
+import { subscribe, broadcast, listConnections, disconnect, startFanout } from './realtime.js';
+import presence from './presence/index.js';
+import { isValidEmoji, toggleReaction, summarizeReactions } from './reactions.js';
+import { normalizeTag, normalizeTags } from './tags.js';
+import { safeFilename, streamPhotoArchive } from './archives.js';
+import { findPage } from './pagination.js';
+import { backfillHashBands } from './duplicates.js';
+import { MANIFEST_NAME, IMPORT_LIMITS, buildManifest, importRoom, mediaNameOf } from './backups.js';
+import { parseRetentionDays, retentionStatus, retentionReport, purgeExpired } from './retention.js';
+import {
+  deletePhoto,
+  uploadPhoto,
+  mapWithConcurrency,
+  maxSizeOf,
+  tooLargeError,
+  UploadError,
+  UPLOAD_LIMITS,
+  ACCEPTED_TYPES,
+} from './uploads.js';
+import {
+  TUS_VERSION,
+  TUS_EXTENSIONS,
+  MAX_RESUMABLE_SIZE,
+  parseMetadata,
+  createUpload,
+  appendChunk,
+  readUploadedFile,
+  commitOffset,
+  reopenUpload,
+  removeTempFile,
+  discardUpload,
+  cleanupExpiredUploads,
+} from './resumable.js';
 
-dotenv.config();
+const app = express();
+
+// ===========================================
+// 🌍 NETWORK: Allow requests
+// ===========================================
+// tus discovery: advertise supported features on the (CORS preflight) OPTIONS response
+app.options('/api/uploads/resumable', (req, res, next) => {
+  res.set({
+    'Tus-Resumable': TUS_VERSION,
+    'Tus-Version': TUS_VERSION,
+    'Tus-Extension': TUS_EXTENSIONS,
+    'Tus-Max-Size': MAX_RESUMABLE_SIZE,
+  });
+  next();
+});
+
+app.use(cors({
+  origin: '*', // Allow your frontend to talk to this server
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'HEAD', 'DELETE'],
+  allowedHeaders: [
+    'Content-Type',
+    'Authorization',
+    // tus resumable upload headers
+    'Tus-Resumable',
+    'Upload-Length',
+    'Upload-Offset',
+    'Upload-Metadata',
+  ],
+  exposedHeaders: ['Location', 'Tus-Resumable', 'Upload-Offset', 'Upload-Length', 'Upload-Photo-Id'],
+}));
+
+app.use(express.json());
+
+// ===========================================
+// 👥 USER PRESENCE TRACKING
+// ===========================================
+// Stored via presence/index.js (MongoDB by default, so every instance agrees)
+const PRESENCE_TIMEOUT = 45000; // 45 seconds
+
+console.log(`👥 Using ${presence.name} presence store`);
+
+// Cleanup inactive users every 30 seconds
+setInterval(async () => {
+  try {
+    // An open event stream counts as a heartbeat for its session
+    for (const { roomName, username, sessionId } of listConnections()) {
+      await presence.heartbeat(roomName, username, sessionId);
+    }
+
+    // Stale tabs only matter to others once the user's last one is gone
+    const results = await presence.sweep(PRESENCE_TIMEOUT);
+    for (const { roomName, username, left, entry } of results) {
+      if (left) {
+        broadcast(roomName, 'user:left', { username });
+        console.log(`🔴 Removed inactive user: ${username} from ${roomName}`);
+      } else {
+        broadcast(roomName, 'user:updated', entry);
+      }
+    }
+  } catch (error) {
+    console.error('❌ Presence cleanup failed:', error);
+  }
+}, 30000);
+
+// Presence routes answer with a { username: { joinedAt, lastSeen, ... } } map
+const toUserMap = (entries) => {
+  const map = {};
+  for (const { username, ...entry } of entries) {
+    map[username] = entry;
+  }
+  return map;
+};
+
+// Each tab sends its own session id; clients that don't share one session
+const sessionOf = (req) => String(req.body?.sessionId || req.query.session || 'default').slice(0, 64);
+
+// How long a typing indicator stays up without a refresh
+const TYPING_TIMEOUT = 6000;
+
+// Discard abandoned resumable uploads every hour
+setInterval(() => {
+  cleanupExpiredUploads().catch((err) => console.error('❌ Resumable upload cleanup failed:', err));
+}, 60 * 60 * 1000);
+
+// Purge content past its room's retention period
+const RETENTION_INTERVAL = (Number(process.env.RETENTION_INTERVAL_MINUTES) || 60) * 60 * 1000;
+setInterval(() => {
+  purgeExpired().catch((err) => console.error('❌ Retention purge failed:', err));
+}, RETENTION_INTERVAL);
+
+// Rooms that predate the Room model exist only as a roomName on photos and
+// chat. Give each a public, ownerless Room whose members are everyone who
+// posted there, so its history stays reachable and can't be claimed by
+// "creating" the room. Admins can assign an owner later.
+const adoptLegacyRooms = async () => {
+  const [photoRooms, chatRooms, rooms] = await Promise.all([
+    Photo.distinct('roomName'),
+    Chat.distinct('roomName'),
+    Room.distinct('name'),
+  ]);
+  const known = new Set(rooms);
+  const orphaned = [...new Set([...photoRooms, ...chatRooms])].filter((name) => !known.has(name));
+
+  for (const name of orphaned) {
+    const [photoUsers, chatUsers] = await Promise.all([
+      Photo.distinct('username', { roomName: name }),
+      Chat.distinct('username', { roomName: name }),
+    ]);
+    const members = [...new Set([...photoUsers, ...chatUsers])].map((username) => ({ username }));
+    await Room.updateOne({ name }, { $setOnInsert: { name, visibility: 'public', members } }, { upsert: true });
+  }
+  return orphaned.length;
+};
+
+// MongoDB Connection
+mongoose
+  .connect(process.env.MONGO_URI)
+  .then(() => console.log('✅ Connected to MongoDB'))
+  // Relaying room events between instances runs for the life of the process
+  .then(() => {
+    startFanout().catch((err) => console.error('❌ Room event relay failed:', err));
+  })
+  // Photos from before capture-time ordering page by their upload time
+  .then(() => Photo.updateMany({ takenAt: { $exists: false } }, [{ $set: { takenAt: '$createdAt' } }]))
+  .then(({ modifiedCount }) => modifiedCount && console.log(`🕒 Backfilled capture time on ${modifiedCount} photo(s)`))
+  .then(() => backfillHashBands())
+  .then(({ modifiedCount }) => modifiedCount && console.log(`🔁 Indexed similarity hashes of ${modifiedCount} photo(s)`))
+  .then(() => adoptLegacyRooms())
+  .then((adopted) => adopted && console.log(`🏠 Created rooms for ${adopted} room name(s) with existing history`))
+  .catch((err) => console.error('❌ MongoDB connection error:', err));
+
+// Storage backend (Cloudinary or local disk, see storage/index.js)
+console.log(`🗄️ Using ${storage.name} storage`);
+
+// Serve locally stored files when running on the disk adapter
+if (storage.dir) {
+  app.use('/uploads', express.static(storage.dir));
+}
+
+// Use Memory Storage (Keep files in RAM until handed to the storage backend).
+// The limits make multer abort oversized uploads instead of buffering them.
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: UPLOAD_LIMITS.maxFileSize,
+    files: UPLOAD_LIMITS.maxFiles,
+  },
+});
+
+// Accept up to maxFiles images or videos in the "vibePhoto" field and turn multer's
+// limit errors into 413/400 responses instead of a generic 500
+const MULTER_ERRORS = {
+  LIMIT_FILE_SIZE: [413, 'FILE_TOO_LARGE', `Files must be ${Math.round(UPLOAD_LIMITS.maxFileSize / 1024 / 1024)} MB or smaller`],
+  LIMIT_FILE_COUNT: [413, 'TOO_MANY_FILES', `You can upload at most ${UPLOAD_LIMITS.maxFiles} files at once`],
+  LIMIT_UNEXPECTED_FILE: [400, 'UNEXPECTED_FIELD', 'Files must be sent in the vibePhoto field'],
+};
+
+const acceptPhotos = (req, res, next) => {
+  upload.array('vibePhoto', UPLOAD_LIMITS.maxFiles)(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      const [status, code, message] = MULTER_ERRORS[err.code] || [400, err.code, err.message];
+      return res.status(status).json({ error: message, code });
+    }
+    next(err);
+  });
+};
+
+// ================= AUTH ROUTES =================
+
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{3,30}$/;
+
+// Register - Create an account and return a session token
+app.post('/api/auth/register', async (req, res) => {
+  try {
+    const { username, password } = req.body;
+
+    if (typeof username !== 'string' || typeof password !== 'string' || !password) {
+      return res.status(400).json({ error: 'username and password required' });
+    }
+
+    if (!USERNAME_PATTERN.test(username.trim())) {
+      return res.status(400).json({ error: 'Username must be 3-30 letters, numbers, dots, dashes or underscores' });
+    }
+
+    if (password.length < 8) {
+      return res.status(400).json({ error: 'Password must be at least 8 characters' });
+    }
+
+    const existing = await User.findOne({ username: username.trim() });
+    if (existing) {
+      return res.status(409).json({ error: 'Username is already taken' });
+    }
+
+    const user = new User({
+      username: username.trim(),
+      passwordHash: await bcrypt.hash(password, 10),
+    });
+    await user.save();
+
+    console.log(`🆕 Registered user: ${user.username}`);
+    res.status(201).json({ token: signToken(user), user });
+  } catch (error) {
+    console.error('❌ Error registering user:', error);
+    res.status(500).json({ error: 'Failed to register', details: error.message });
+  }
+});
+
+// Login - Verify password and return a session token
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { username, password } = req.body;
+
+    if (typeof username !== 'string' || typeof password !== 'string' || !password) {
+      return res.status(400).json({ error: 'username and password required' });
+    }
+
+    const user = await User.findOne({ username: username.trim() });
+    if (!user || !(await bcrypt.compare(password, user.passwordHash))) {
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+
+    console.log(`🔑 ${user.username} logged in`);
+    res.status(200).json({ token: signToken(user), user });
+  } catch (error) {
+    console.error('❌ Error logging in:', error);
+    res.status(500).json({ error: 'Failed to log in', details: error.message });
+  }
+});
+
+// Current User - Resolve the session token
+app.get('/api/auth/me', requireAuth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(401).json({ error: 'Account no longer exists' });
+    }
+
+    res.status(200).json({ user });
+  } catch (error) {
+    console.error('❌ Error fetching current user:', error);
+    res.status(500).json({ error: 'Failed to fetch current user', details: error.message });
+  }
+});
+
+// ================= ROOM ROUTES =================
+
+const DEFAULT_INVITE_HOURS = 24;
+
+// Create Room - The creator becomes its owner and first member
+app.post('/api/rooms', requireAuth, async (req, res) => {
+  try {
+    const { name, password, visibility = 'public' } = req.body;
+    const { username } = req.user;
+
+    if (typeof name !== 'string' || !ROOM_NAME_PATTERN.test(name.trim())) {
+      return res.status(400).json({ error: 'Room name must be 1-60 characters without / ? or #' });
+    }
+
+    if (!['public', 'private'].includes(visibility)) {
+      return res.status(400).json({ error: 'visibility must be public or private' });
+    }
+
+    // A name with photos or chat but no Room yet is a legacy room awaiting
+    // adoption (see adoptLegacyRooms) - creating it would claim its history
+    const roomName = name.trim();
+    if (
+      (await Room.exists({ name: roomName })) ||
+      (await Photo.exists({ roomName })) ||
+      (await Chat.exists({ roomName }))
+    ) {
+      return res.status(409).json({ error: 'A room with that name already exists' });
+    }
+
+    const room = new Room({
+      name: roomName,
+      owner: username,
+      visibility,
+      passwordHash: password ? await bcrypt.hash(String(password), 10) : undefined,
+      members: [{ username }],
+    });
+    await room.save();
+
+    console.log(`🏠 ${username} created ${visibility} room: ${room.name}`);
+    res.status(201).json(room.toPublicJSON(username));
+  } catch (error) {
+    console.error('❌ Error creating room:', error);
+    res.status(500).json({ error: 'Failed to create room', details: error.message });
+  }
+});
+
+// Get Room - Details visible to anyone signed in, private rooms only to members
+app.get('/api/rooms/:id', requireAuth, async (req, res) => {
+  try {
+    const room = await findRoom(req.params.id);
+    const { username } = req.user;
+
+    if (!room || (room.visibility === 'private' && !room.isMember(username))) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    res.status(200).json(room.toPublicJSON(username));
+  } catch (error) {
+    console.error('❌ Error fetching room:', error);
+    res.status(500).json({ error: 'Failed to fetch room', details: error.message });
+  }
+});
+
+// Join Room - Become a member using the room password or an invite token
+app.post('/api/rooms/:id/join', requireAuth, async (req, res) => {
+  try {
+    const { password, invite } = req.body;
+    const { username } = req.user;
+    const room = await findRoom(req.params.id);
+
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    if (room.roleOf(username) === 'banned') {
+      return res.status(403).json({ error: 'You are banned from this room' });
+    }
+
+    if (!room.isMember(username)) {
+      const hasInvite = Boolean(room.findValidInvite(invite));
+
+      if (room.visibility === 'private' && !hasInvite) {
+        // Don't reveal that a private room exists
+        return res.status(404).json({ error: 'Room not found' });
+      }
+
+      if (room.passwordHash && !hasInvite) {
+        if (!password || !(await bcrypt.compare(String(password), room.passwordHash))) {
+          return res.status(403).json({ error: 'Incorrect room password', passwordRequired: true });
+        }
+      }
+
+      room.members.push({ username });
+      await room.save();
+      console.log(`🚪 ${username} became a member of ${room.name}`);
+    }
+
+    res.status(200).json(room.toPublicJSON(username));
+  } catch (error) {
+    console.error('❌ Error joining room:', error);
+    res.status(500).json({ error: 'Failed to join room', details: error.message });
+  }
+});
+
+// Create Invite - Owner or moderator generates an expiring invite token
+app.post('/api/rooms/:id/invites', requireAuth, async (req, res) => {
+  try {
+    const { expiresInHours = DEFAULT_INVITE_HOURS } = req.body;
+    const { username } = req.user;
+    const room = await findRoom(req.params.id);
+
+    if (!room || !room.isMember(username)) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    if (ROLE_RANK[room.roleOf(username)] < ROLE_RANK.moderator) {
+      return res.status(403).json({ error: 'Only room owners and moderators can create invites' });
+    }
+
+    const hours = Number(expiresInHours);
+    if (!Number.isFinite(hours) || hours <= 0 || hours > 24 * 30) {
+      return res.status(400).json({ error: 'expiresInHours must be between 0 and 720' });
+    }
+
+    const invite = {
+      token: crypto.randomBytes(16).toString('base64url'),
+      createdBy: username,
+      expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000),
+    };
+
+    // Drop expired invites while we're here
+    room.invites = room.invites.filter((i) => i.expiresAt > new Date());
+    room.invites.push(invite);
+    await room.save();
+
+    console.log(`🔗 ${username} created an invite for ${room.name}`);
+    res.status(201).json(invite);
+  } catch (error) {
+    console.error('❌ Error creating invite:', error);
+    res.status(500).json({ error: 'Failed to create invite', details: error.message });
+  }
+});
+
+// ================= MODERATION ROUTES =================
+
+// Remove a user from presence and close their event streams
+const kickFromRoom = async (roomName, username, reason) => {
+  // Drops every session the user has in the room
+  const { left } = await presence.leave(roomName, username, undefined, 'kick');
+  if (left) {
+    broadcast(roomName, 'user:left', { username });
+  }
+  broadcast(roomName, 'user:kicked', { username, reason });
+  disconnect(roomName, username);
+};
+
+// Shared guard: the acting user must outrank the target
+const ensureCanModerate = (req, res) => {
+  const { username } = req.params;
+
+  if (username === req.user.username) {
+    res.status(400).json({ error: 'You cannot moderate yourself' });
+    return false;
+  }
+
+  if (!req.room.canModerate(req.user.username, username)) {
+    res.status(403).json({ error: 'You cannot moderate that user' });
+    return false;
+  }
+
+  return true;
+};
+
+// List Members - Everyone in the room with their role and mute state
+app.get('/api/rooms/:id/members', requireAuth, requireRoomMember, (req, res) => {
+  const { room } = req;
+
+  res.status(200).json({
+    owner: room.owner,
+    members: room.members.map((m) => ({
+      username: m.username,
+      role: m.role,
+      mutedUntil: m.mutedUntil,
+      joinedAt: m.joinedAt,
+    })),
+    // Only moderators need to see the ban list
+    banned: room.canModerate(req.user.username, null) ? room.banned : undefined,
+  });
+});
+
+// Set Role - Owner promotes members to moderator or demotes them back
+app.put('/api/rooms/:id/members/:username/role', requireAuth, requireRoomMember, async (req, res) => {
+  try {
+    const { room } = req;
+    const { username } = req.params;
+    const { role } = req.body;
+
+    if (room.owner !== req.user.username) {
+      return res.status(403).json({ error: 'Only the room owner can change roles' });
+    }
+
+    if (!['moderator', 'member'].includes(role)) {
+      return res.status(400).json({ error: 'role must be moderator or member' });
+    }
+
+    const member = room.getMember(username);
+    if (!member) {
+      return res.status(404).json({ error: 'User is not a member of this room' });
+    }
+
+    member.role = role;
+    await room.save();
+
+    broadcast(room.name, 'member:updated', { username, role, mutedUntil: member.mutedUntil });
+    console.log(`🛡️ ${username} is now a ${role} in ${room.name}`);
+    res.status(200).json({ username, role });
+  } catch (error) {
+    console.error('❌ Error changing role:', error);
+    res.status(500).json({ error: 'Failed to change role', details: error.message });
+  }
+});
+
+// Assign Owner - Admins hand a room (e.g. an adopted legacy room, which
+// has none) to a registered user, who also becomes a member
+app.put('/api/admin/rooms/:id/owner', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { owner } = req.body;
+    const room = await findRoom(req.params.id);
+
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    if (typeof owner !== 'string' || !(await User.exists({ username: owner }))) {
+      return res.status(400).json({ error: 'owner must be a registered username' });
+    }
+
+    room.owner = owner;
+    room.banned = room.banned.filter((name) => name !== owner);
+    if (!room.getMember(owner)) {
+      room.members.push({ username: owner });
+    }
+    await room.save();
+
+    console.log(`👑 ${req.user.username} made ${owner} the owner of ${room.name}`);
+    res.status(200).json(room.toPublicJSON(req.user.username));
+  } catch (error) {
+    console.error('❌ Error assigning owner:', error);
+    res.status(500).json({ error: 'Failed to assign owner', details: error.message });
+  }
+});
+
+// Kick - Remove a user from the room's active users (they may rejoin)
+app.post('/api/rooms/:id/members/:username/kick', requireAuth, requireRoomMember, requireRoomModerator, async (req, res) => {
+  try {
+    if (!ensureCanModerate(req, res)) return;
+
+    const { username } = req.params;
+    await kickFromRoom(req.room.name, username, 'kicked');
+
+    console.log(`👢 ${username} was kicked from ${req.room.name} by ${req.user.username}`);
+    res.status(200).json({ message: 'User kicked' });
+  } catch (error) {
+    console.error('❌ Error kicking user:', error);
+    res.status(500).json({ error: 'Failed to kick user', details: error.message });
+  }
+});
+
+// Mute - Block a member from chatting for a number of minutes
+app.post('/api/rooms/:id/members/:username/mute', requireAuth, requireRoomMember, requireRoomModerator, async (req, res) => {
+  try {
+    if (!ensureCanModerate(req, res)) return;
+
+    const { room } = req;
+    const { username } = req.params;
+    const { minutes = 10 } = req.body;
+
+    const member = room.getMember(username);
+    if (!member) {
+      return res.status(404).json({ error: 'User is not a member of this room' });
+    }
+
+    const duration = Number(minutes);
+    if (!Number.isFinite(duration) || duration <= 0) {
+      return res.status(400).json({ error: 'minutes must be a positive number' });
+    }
+
+    member.mutedUntil = new Date(Date.now() + duration * 60 * 1000);
+    await room.save();
+
+    broadcast(room.name, 'member:updated', { username, role: member.role, mutedUntil: member.mutedUntil });
+    console.log(`🔇 ${username} was muted in ${room.name} by ${req.user.username}`);
+    res.status(200).json({ username, mutedUntil: member.mutedUntil });
+  } catch (error) {
+    console.error('❌ Error muting user:', error);
+    res.status(500).json({ error: 'Failed to mute user', details: error.message });
+  }
+});
+
+// Unmute
+app.delete('/api/rooms/:id/members/:username/mute', requireAuth, requireRoomMember, requireRoomModerator, async (req, res) => {
+  try {
+    if (!ensureCanModerate(req, res)) return;
+
+    const { room } = req;
+    const { username } = req.params;
+
+    const member = room.getMember(username);
+    if (!member) {
+      return res.status(404).json({ error: 'User is not a member of this room' });
+    }
+
+    member.mutedUntil = undefined;
+    await room.save();
+
+    broadcast(room.name, 'member:updated', { username, role: member.role, mutedUntil: null });
+    console.log(`🔊 ${username} was unmuted in ${room.name} by ${req.user.username}`);
+    res.status(200).json({ username, mutedUntil: null });
+  } catch (error) {
+    console.error('❌ Error unmuting user:', error);
+    res.status(500).json({ error: 'Failed to unmute user', details: error.message });
+  }
+});
+
+// Ban - Remove membership, kick, and block the username from rejoining
+app.post('/api/rooms/:id/members/:username/ban', requireAuth, requireRoomMember, requireRoomModerator, async (req, res) => {
+  try {
+    if (!ensureCanModerate(req, res)) return;
+
+    const { room } = req;
+    const { username } = req.params;
+
+    room.members = room.members.filter((m) => m.username !== username);
+    if (!room.banned.includes(username)) {
+      room.banned.push(username);
+    }
+    await room.save();
+
+    await kickFromRoom(room.name, username, 'banned');
+    console.log(`⛔ ${username} was banned from ${room.name} by ${req.user.username}`);
+    res.status(200).json({ message: 'User banned' });
+  } catch (error) {
+    console.error('❌ Error banning user:', error);
+    res.status(500).json({ error: 'Failed to ban user', details: error.message });
+  }
+});
+
+// Unban - Allow the username to join again (they still need password/invite)
+app.delete('/api/rooms/:id/members/:username/ban', requireAuth, requireRoomMember, requireRoomModerator, async (req, res) => {
+  try {
+    if (!ensureCanModerate(req, res)) return;
+
+    const { room } = req;
+    const { username } = req.params;
+
+    room.banned = room.banned.filter((b) => b !== username);
+    await room.save();
+
+    console.log(`✅ ${username} was unbanned from ${room.name} by ${req.user.username}`);
+    res.status(200).json({ message: 'User unbanned' });
+  } catch (error) {
+    console.error('❌ Error unbanning user:', error);
+    res.status(500).json({ error: 'Failed to unban user', details: error.message });
+  }
+});
+
+// ================= ROUTES =================
+
+// Upload Route - Accepts a batch and reports a result for every file
+app.post('/api/upload', requireAuth, acceptPhotos, requireRoomMember, async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'No files uploaded' });
+    }
+
+    const roomName = req.room.name;
+    const { username } = req.user;
+    console.log(`📤 Starting upload of ${req.files.length} file(s) to ${roomName}`);
+
+    // One bad file shouldn't sink the rest of the batch
+    const results = await mapWithConcurrency(req.files, UPLOAD_LIMITS.concurrency, async (file) => {
+      try {
+        const photo = await uploadPhoto(file, { roomName, username });
+        console.log(`✅ ${storage.name} upload success:`, photo.imageUrl);
+        broadcast(roomName, 'photo:uploaded', photo);
+        return { file: file.originalname, status: 'uploaded', photo };
+      } catch (error) {
+        console.error(`❌ Upload Failed for ${file.originalname}:`, error);
+        return {
+          file: file.originalname,
+          status: 'failed',
+          error: error.message,
+          code: error.code,
+          // Set for duplicates: the copy already in the room
+          photoId: error.photoId,
+          httpStatus: error.status || 500,
+        };
+      }
+    });
+
+    const failed = results.filter((r) => r.status === 'failed');
+    console.log(`🎉 Uploaded ${results.length - failed.length}/${results.length} file(s)`);
+
+    // 201 all stored, 207 partial, otherwise the (first) failure's status
+    let status = 201;
+    if (failed.length === results.length) {
+      status = failed[0].httpStatus;
+    } else if (failed.length > 0) {
+      status = 207;
+    }
+
+    res.status(status).json({
+      results,
+      error: failed.length > 0 ? failed[0].error : undefined,
+    });
+  } catch (error) {
+    console.error("❌ Upload Failed:", error);
+    res.status(error.status || 500).json({ error: error.message, code: error.code });
+  }
+});
+
+// ================= RESUMABLE UPLOAD ROUTES (tus) =================
+
+// Every tus request must speak our protocol version
+const requireTus = (req, res, next) => {
+  res.set('Tus-Resumable', TUS_VERSION);
+  if (req.get('Tus-Resumable') !== TUS_VERSION) {
+    return res.status(412).set('Tus-Version', TUS_VERSION).end();
+  }
+  next();
+};
+
+// Load the upload from :id and make sure it belongs to the caller
+const loadUpload = async (req, res, next) => {
+  try {
+    const upload = mongoose.isValidObjectId(req.params.id) ? await Upload.findById(req.params.id) : null;
+
+    if (!upload || upload.username !== req.user.username) {
+      return res.status(404).end();
+    }
+
+    req.upload = upload;
+    next();
+  } catch (error) {
+    console.error('❌ Error loading resumable upload:', error);
+    res.status(500).end();
+  }
+};
+
+// Create - Register a new upload; the file itself arrives via PATCH
+app.post('/api/uploads/resumable', requireAuth, requireTus, async (req, res) => {
+  try {
+    const length = Number(req.get('Upload-Length'));
+    const metadata = parseMetadata(req.get('Upload-Metadata'));
+    const { username } = req.user;
+
+    if (!Number.isInteger(length) || length <= 0) {
+      return res.status(400).json({ error: 'Upload-Length header required' });
+    }
+
+    // Refuse oversized files before any bytes arrive; the type is the
+    // client's claim, validateUpload checks the real one at the end
+    if (length > Math.min(maxSizeOf(metadata.filetype), MAX_RESUMABLE_SIZE)) {
+      const { message, code } = tooLargeError(metadata.filetype);
+      return res.status(413).json({ error: message, code });
+    }
+
+    const room = metadata.roomName && await findRoom(metadata.roomName);
+    if (!room || !room.isMember(username)) {
+      return res.status(403).json({ error: 'You are not a member of this room' });
+    }
+
+    const upload = await createUpload({
+      username,
+      roomName: room.name,
+      filename: metadata.filename,
+      filetype: metadata.filetype,
+      length,
+    });
+
+    console.log(`⏯️ ${username} started a resumable upload: ${upload.filename} (${length} bytes)`);
+    res.set('Location', `/api/uploads/resumable/${upload._id}`);
+    res.status(201).end();
+  } catch (error) {
+    console.error('❌ Error creating resumable upload:', error);
+    res.status(500).json({ error: 'Failed to create upload', details: error.message });
+  }
+});
+
+// Status - How much of the file the server already has
+app.head('/api/uploads/resumable/:id', requireAuth, requireTus, loadUpload, (req, res) => {
+  const { upload } = req;
+
+  res.set({
+    'Upload-Offset': upload.offset,
+    'Upload-Length': upload.length,
+    'Cache-Control': 'no-store',
+  });
+  if (upload.photoId) {
+    res.set('Upload-Photo-Id', upload.photoId.toString());
+  }
+  res.status(200).end();
+});
+
+// Append - Write a chunk; the last one finalizes the upload into a Photo
+app.patch('/api/uploads/resumable/:id', requireAuth, requireTus, loadUpload, async (req, res) => {
+  const { upload } = req;
+
+  try {
+    if (req.get('Content-Type') !== 'application/offset+octet-stream') {
+      return res.status(415).end();
+    }
+
+    if (Number(req.get('Upload-Offset')) !== upload.offset) {
+      return res.status(409).set('Upload-Offset', upload.offset).end();
+    }
+
+    if (upload.photoId) {
+      return res.status(204).set('Upload-Offset', upload.offset).end();
+    }
+
+    const committed = await commitOffset(upload, await appendChunk(upload, req));
+    if (!committed) {
+      const current = await Upload.findById(upload._id);
+      return res.status(409).set('Upload-Offset', current?.offset ?? upload.offset).end();
+    }
+    upload.offset = committed.offset;
+
+    if (upload.offset === upload.length) {
+      try {
+        const photo = await uploadPhoto(await readUploadedFile(upload), {
+          roomName: upload.roomName,
+          username: upload.username,
+        });
+
+        broadcast(upload.roomName, 'photo:uploaded', photo);
+        await Upload.updateOne({ _id: upload._id }, { $set: { photoId: photo._id } });
+        await removeTempFile(upload);
+        res.set('Upload-Photo-Id', photo._id.toString());
+        console.log(`✅ Resumable upload finished: ${upload.filename}`);
+      } catch (error) {
+        if (error instanceof UploadError) {
+          // Validation failures (415/413/409 duplicate) are final - the client must not retry
+          await discardUpload(upload);
+          return res.status(error.status).json({ error: error.message, code: error.code, photoId: error.photoId });
+        }
+        // Storage or database trouble: keep the bytes for the client's retry
+        console.error(`❌ Could not finalize resumable upload ${upload._id}:`, error);
+        await reopenUpload(upload);
+        return res.status(500).json({ error: 'Failed to process upload', details: error.message });
+      }
+    }
+
+    res.set('Upload-Offset', upload.offset);
+    res.status(204).end();
+  } catch (error) {
+    console.error('❌ Error appending to resumable upload:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Terminate - Abandon an upload and free its temp file
+app.delete('/api/uploads/resumable/:id', requireAuth, requireTus, loadUpload, async (req, res) => {
+  try {
+    await discardUpload(req.upload);
+    res.status(204).end();
+  } catch (error) {
+    console.error('❌ Error terminating resumable upload:', error);
+    res.status(500).json({ error: 'Failed to terminate upload', details: error.message });
+  }
+});
+
+// Upload Limits - Lets the client reject files before sending them
+app.get('/api/upload/limits', (req, res) => {
+  res.status(200).json({
+    maxFileSize: UPLOAD_LIMITS.maxFileSize,
+    maxFiles: UPLOAD_LIMITS.maxFiles,
+    maxResumableSize: MAX_RESUMABLE_SIZE,
+    maxVideoSize: UPLOAD_LIMITS.maxVideoSize,
+    maxVideoDuration: UPLOAD_LIMITS.maxVideoDuration,
+    acceptedTypes: ACCEPTED_TYPES,
+  });
+});
+
+// Photo query for a room from the gallery filters (combinable):
+// ?album=<albumId>&tag=<tag>&user=<username>. Throws { status: 400 }.
+const buildPhotoFilter = (roomName, { album, tag, user }) => {
+  const filter = { roomName };
+
+  if (album) {
+    if (!mongoose.isValidObjectId(album)) {
+      throw Object.assign(new Error('Invalid album'), { status: 400 });
+    }
+    filter.albums = album;
+  }
+  if (tag) {
+    const normalized = normalizeTag(String(tag));
+    if (!normalized) {
+      throw Object.assign(new Error('Invalid tag'), { status: 400 });
+    }
+    filter.tags = normalized;
+  }
+  if (user) {
+    filter.username = String(user);
+  }
+  return filter;
+};
+
+// Gallery orderings: ?sort=uploaded (default) or ?sort=taken (EXIF capture time)
+const PHOTO_SORTS = {
+  uploaded: 'createdAt',
+  taken: 'takenAt',
+};
+
+// Get Photos Route - Cursor paginated, newest first
+//   ?before=<cursor>  older page (infinite scroll)
+//   ?since=<cursor>   only photos uploaded after the cursor, oldest first (incremental
+//                     refresh; always an upload-time cursor, whatever ?sort= is)
+// Optional filters: see buildPhotoFilter
+app.get('/api/photos/:roomName', requireAuth, requireRoomMember, async (req, res) => {
+  try {
+    const sortBy = PHOTO_SORTS[req.query.sort || 'uploaded'];
+    if (!sortBy) {
+      return res.status(400).json({ error: 'sort must be uploaded or taken' });
+    }
+
+    const filter = buildPhotoFilter(req.room.name, req.query);
+    const page = await findPage(Photo, filter, req.query, 30, { sortBy });
+
+    res.status(200).json({
+      photos: page.items,
+      hasMore: page.hasMore,
+      nextCursor: page.nextCursor,
+    });
+  } catch (error) {
+    console.error('❌ Error fetching photos:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to fetch photos' });
+  }
+});
+
+// Delete Photo (by uploader, owner or moderator) - also removes the file from storage
+app.delete('/api/photos/:id', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { username } = req.user;
+
+    const photo = mongoose.isValidObjectId(id) ? await Photo.findById(id) : null;
+
+    if (!photo) {
+      return res.status(404).json({ error: 'Photo not found' });
+    }
+
+    const room = await Room.findOne({ name: photo.roomName });
+    if (photo.username !== username && !room?.canModerate(username, photo.username)) {
+      return res.status(403).json({ error: 'You can only delete your own photos' });
+    }
+
+    await deletePhoto(photo);
+    broadcast(photo.roomName, 'photo:deleted', { _id: id });
+    console.log(`🗑️ Photo deleted by ${username}`);
+    res.status(200).json({ message: 'Photo deleted' });
+  } catch (error) {
+    console.error('❌ Error deleting photo:', error);
+    res.status(500).json({ error: 'Failed to delete photo', details: error.message });
+  }
+});
+
+// ================= PHOTO REACTIONS & COMMENTS =================
+
+// Get Reactions - [{ emoji, count, usernames }]
+app.get('/api/photos/:id/reactions', requireAuth, requirePhotoMember, (req, res) => {
+  res.status(200).json({
+    photoId: req.photo._id,
+    reactions: summarizeReactions(req.photo.reactions),
+  });
+});
+
+// Toggle Reaction - { emoji }: adds the user's reaction, or removes it if already there
+app.post('/api/photos/:id/reactions', requireAuth, requirePhotoMember, async (req, res) => {
+  try {
+    const { emoji } = req.body;
+    const { username } = req.user;
+    const photoId = req.photo._id;
+
+    if (!isValidEmoji(emoji)) {
+      return res.status(400).json({ error: 'A single emoji is required' });
+    }
+
+    const result = await toggleReaction(Photo, photoId, emoji, username);
+    if (!result) {
+      return res.status(404).json({ error: 'Photo not found' });
+    }
+
+    const { reactions } = await Photo.findById(photoId, 'reactions');
+    const summary = summarizeReactions(reactions);
+    broadcast(req.photo.roomName, 'photo:reactions', { photoId, reactions: summary });
+
+    res.status(200).json({ photoId, reacted: result.reacted, reactions: summary });
+  } catch (error) {
+    console.error('❌ Error updating reaction:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Get Comments - The whole thread, oldest first; replies carry parentId
+app.get('/api/photos/:id/comments', requireAuth, requirePhotoMember, async (req, res) => {
+  try {
+    const comments = await PhotoComment.find({ photoId: req.photo._id }).sort({ createdAt: 1, _id: 1 });
+
+    res.status(200).json({ photoId: req.photo._id, comments });
+  } catch (error) {
+    console.error('❌ Error fetching comments:', error);
+    res.status(500).json({ error: 'Failed to fetch comments', details: error.message });
+  }
+});
+
+// Add Comment - { text, parentId? } where parentId replies to another comment
+app.post('/api/photos/:id/comments', requireAuth, requirePhotoMember, async (req, res) => {
+  try {
+    const { text, parentId } = req.body;
+    const { username } = req.user;
+    const { photo } = req;
+
+    if (req.room.isMuted(username)) {
+      return res.status(403).json({ error: 'You are muted in this room' });
+    }
+
+    if (typeof text !== 'string' || !text.trim()) {
+      return res.status(400).json({ error: 'text is required' });
+    }
+
+    if (text.trim().length > 1000) {
+      return res.status(400).json({ error: 'Comments can be at most 1000 characters' });
+    }
+
+    if (parentId) {
+      const parent = mongoose.isValidObjectId(parentId)
+        ? await PhotoComment.exists({ _id: parentId, photoId: photo._id })
+        : null;
+      if (!parent) {
+        return res.status(400).json({ error: 'parentId must be a comment on this photo' });
+      }
+    }
+
+    const comment = await PhotoComment.create({
+      photoId: photo._id,
+      roomName: photo.roomName,
+      username,
+      text: text.trim(),
+      parentId: parentId || null,
+    });
+    await Photo.updateOne({ _id: photo._id }, { $inc: { commentCount: 1 } });
+
+    broadcast(photo.roomName, 'comment:added', comment);
+    console.log(`💬 ${username} commented on a photo in ${photo.roomName}`);
+    res.status(201).json(comment);
+  } catch (error) {
+    console.error('❌ Error adding comment:', error);
+    res.status(500).json({ error: 'Failed to add comment', details: error.message });
+  }
+});
+
+// Delete Comment - Author or moderators; replies to it are removed too
+app.delete('/api/photos/:id/comments/:commentId', requireAuth, requirePhotoMember, async (req, res) => {
+  try {
+    const { commentId } = req.params;
+    const { username } = req.user;
+    const { photo } = req;
+
+    const comment = mongoose.isValidObjectId(commentId)
+      ? await PhotoComment.findOne({ _id: commentId, photoId: photo._id })
+      : null;
+
+    if (!comment) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    if (comment.username !== username && !req.room.canModerate(username, comment.username)) {
+      return res.status(403).json({ error: 'You can only delete your own comments' });
+    }
+
+    // Collect the whole subtree, one level at a time
+    const ids = [comment._id];
+    let level = [comment._id];
+    while (level.length > 0) {
+      const replies = await PhotoComment.find({ parentId: { $in: level } }, '_id');
+      level = replies.map((reply) => reply._id);
+      ids.push(...level);
+    }
+
+    const { deletedCount } = await PhotoComment.deleteMany({ _id: { $in: ids } });
+    await Photo.updateOne({ _id: photo._id }, { $inc: { commentCount: -deletedCount } });
+
+    broadcast(photo.roomName, 'comment:deleted', { photoId: photo._id, _ids: ids });
+    console.log(`🗑️ Comment deleted by ${username}`);
+    res.status(200).json({ message: 'Comment deleted', deleted: ids });
+  } catch (error) {
+    console.error('❌ Error deleting comment:', error);
+    res.status(500).json({ error: 'Failed to delete comment', details: error.message });
+  }
+});
+
+// ================= BULK DOWNLOAD =================
+
+// Most photos a hand-picked (?ids=) download may name
+const MAX_DOWNLOAD_SELECTION = 500;
+
+// Download Photos as ZIP - Streams originals straight from storage.
+// Takes the gallery filters (?album=&tag=&user=) and/or ?ids=<id>,<id>,...
+// for a hand-picked selection; with neither, the whole room. Plain GET with
+// ?token= so the browser can download it directly.
+app.get('/api/rooms/:id/download', requireAuth, requireRoomMember, async (req, res) => {
+  try {
+    const { username } = req.user;
+    const roomName = req.room.name;
+    const filter = buildPhotoFilter(roomName, req.query);
+
+    if (req.query.ids) {
+      const ids = String(req.query.ids).split(',').filter(Boolean);
+      if (ids.length > MAX_DOWNLOAD_SELECTION || !ids.every((id) => mongoose.isValidObjectId(id))) {
+        return res.status(400).json({ error: `ids must be at most ${MAX_DOWNLOAD_SELECTION} photo ids` });
+      }
+      filter._id = { $in: ids };
+    }
+
+    if (!(await Photo.exists(filter))) {
+      return res.status(404).json({ error: 'No photos to download' });
+    }
+
+    const photos = Photo.find(filter).sort({ createdAt: 1, _id: 1 }).cursor();
+    const count = await streamPhotoArchive(res, photos, `${safeFilename(roomName) || 'vibeshare'}-photos.zip`);
+    console.log(`📦 ${username} downloaded ${count} photo(s) from ${roomName}`);
+  } catch (error) {
+    console.error('❌ Error building photo archive:', error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to build archive' });
+  }
+});
+
+// ================= ALBUMS, TAGS & CAPTIONS =================
+
+// Album creators and room moderators can change an album
+const canManageAlbum = (room, album, username) =>
+  album.createdBy === username || ROLE_RANK[room.roleOf(username)] >= ROLE_RANK.moderator;
+
+const findAlbum = (room, albumId) =>
+  mongoose.isValidObjectId(albumId) ? Album.findOne({ _id: albumId, roomName: room.name }) : null;
+
+// Tell the room which photos changed albums/tags
+const broadcastPhotoLabels = async (roomName, photoIds) => {
+  const photos = await Photo.find({ _id: { $in: photoIds } }, 'albums tags caption');
+  broadcast(roomName, 'photos:updated', { photos });
+};
+
+// List Albums - With how many photos each holds
+app.get('/api/rooms/:id/albums', requireAuth, requireRoomMember, async (req, res) => {
+  try {
+    const roomName = req.room.name;
+    const albums = await Album.find({ roomName }).sort({ createdAt: 1 });
+
+    const counts = await Photo.aggregate([
+      { $match: { roomName, albums: { $in: albums.map((a) => a._id) } } },
+      { $unwind: '$albums' },
+      { $group: { _id: '$albums', count: { $sum: 1 } } },
+    ]);
+    const countOf = new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+
+    res.status(200).json({
+      roomName,
+      albums: albums.map((album) => ({ ...album.toObject(), photoCount: countOf.get(album._id.toString()) || 0 })),
+    });
+  } catch (error) {
+    console.error('❌ Error fetching albums:', error);
+    res.status(500).json({ error: 'Failed to fetch albums', details: error.message });
+  }
+});
 
-const app = express();
+// Create Album - { name, description? }; any member can
+app.post('/api/rooms/:id/albums', requireAuth, requireRoomMember, async (req, res) => {
+  try {
+    const { name, description = '' } = req.body;
+    const { username } = req.user;
 
-// ===========================================
-// 🌍 NETWORK: Allow requests
-// ===========================================
-app.use(cors({
-  origin: '*', // Allow your frontend to talk to this server
-  methods: ['GET', 'POST', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Authorization']
-}));
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ error: 'name is required' });
+    }
 
-app.use(express.json());
+    const album = await Album.create({
+      roomName: req.room.name,
+      name: name.trim(),
+      description: String(description),
+      createdBy: username,
+    });
 
-// ===========================================
-// 👥 IN-MEMORY USER PRESENCE TRACKING
-// ===========================================
-// Structure: { roomName: { username: { joinedAt, lastSeen } } }
-const activeUsers = {};
+    broadcast(req.room.name, 'album:created', { ...album.toObject(), photoCount: 0 });
+    console.log(`🗂️ ${username} created album "${album.name}" in ${req.room.name}`);
+    res.status(201).json({ ...album.toObject(), photoCount: 0 });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'An album with that name already exists' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('❌ Error creating album:', error);
+    res.status(500).json({ error: 'Failed to create album', details: error.message });
+  }
+});
 
-// Cleanup inactive users every 30 seconds
-setInterval(() => {
-  const now = Date.now();
-  const TIMEOUT = 45000; // 45 seconds
-
-  for (const roomName in activeUsers) {
-    for (const username in activeUsers[roomName]) {
-      const user = activeUsers[roomName][username];
-      if (now - user.lastSeen > TIMEOUT) {
-        delete activeUsers[roomName][username];
-        console.log(`🔴 Removed inactive user: ${username} from ${roomName}`);
+// Update Album - { name?, description? }; creator or moderators
+app.patch('/api/rooms/:id/albums/:albumId', requireAuth, requireRoomMember, async (req, res) => {
+  try {
+    const { name, description } = req.body;
+    const { username } = req.user;
+
+    const album = await findAlbum(req.room, req.params.albumId);
+    if (!album) {
+      return res.status(404).json({ error: 'Album not found' });
+    }
+    if (!canManageAlbum(req.room, album, username)) {
+      return res.status(403).json({ error: 'Only the album creator or moderators can change it' });
+    }
+
+    if (name !== undefined) {
+      if (typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({ error: 'name cannot be empty' });
       }
+      album.name = name.trim();
+    }
+    if (description !== undefined) {
+      album.description = String(description);
     }
-    // Remove empty rooms
-    if (Object.keys(activeUsers[roomName]).length === 0) {
-      delete activeUsers[roomName];
+    await album.save();
+
+    broadcast(req.room.name, 'album:updated', album);
+    res.status(200).json(album);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'An album with that name already exists' });
     }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('❌ Error updating album:', error);
+    res.status(500).json({ error: 'Failed to update album', details: error.message });
   }
-}, 30000);
+});
 
-// MongoDB Connection
-mongoose
-  .connect(process.env.MONGO_URI)
-  .then(() => console.log('✅ Connected to MongoDB'))
-  .catch((err) => console.error('❌ MongoDB connection error:', err));
+// Delete Album - Creator or moderators; the photos themselves stay
+app.delete('/api/rooms/:id/albums/:albumId', requireAuth, requireRoomMember, async (req, res) => {
+  try {
+    const { username } = req.user;
+
+    const album = await findAlbum(req.room, req.params.albumId);
+    if (!album) {
+      return res.status(404).json({ error: 'Album not found' });
+    }
+    if (!canManageAlbum(req.room, album, username)) {
+      return res.status(403).json({ error: 'Only the album creator or moderators can delete it' });
+    }
 
-// Configure Cloudinary
-cloudinary.v2.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
+    await Photo.updateMany({ albums: album._id }, { $pull: { albums: album._id } });
+    await album.deleteOne();
+
+    broadcast(req.room.name, 'album:deleted', { _id: album._id });
+    console.log(`🗑️ Album "${album.name}" deleted by ${username}`);
+    res.status(200).json({ message: 'Album deleted' });
+  } catch (error) {
+    console.error('❌ Error deleting album:', error);
+    res.status(500).json({ error: 'Failed to delete album', details: error.message });
+  }
 });
 
-// Use Memory Storage (Keep files in RAM, don't save to disk)
-const upload = multer({ storage: multer.memoryStorage() });
+// Add Photos to Album - { photoIds }; any member can
+app.post('/api/rooms/:id/albums/:albumId/photos', requireAuth, requireRoomMember, async (req, res) => {
+  try {
+    const { photoIds } = req.body;
 
-// Helper: Stream Upload to Cloudinary (Bypasses local disk)
-const streamUpload = (buffer) => {
-  return new Promise((resolve, reject) => {
-    let streamifier = stream.Readable.from(buffer);
-    let cld_upload_stream = cloudinary.v2.uploader.upload_stream(
-      {
-        folder: "vibeshare",
-      },
-      (error, result) => {
-        if (result) {
-          resolve(result);
-        } else {
-          reject(error);
-        }
-      }
-    );
-    streamifier.pipe(cld_upload_stream);
-  });
-};
+    const album = await findAlbum(req.room, req.params.albumId);
+    if (!album) {
+      return res.status(404).json({ error: 'Album not found' });
+    }
 
-// ================= ROUTES =================
+    if (!Array.isArray(photoIds) || photoIds.length === 0 || !photoIds.every((id) => mongoose.isValidObjectId(id))) {
+      return res.status(400).json({ error: 'photoIds must be a list of photo ids' });
+    }
+
+    const filter = { _id: { $in: photoIds }, roomName: req.room.name };
+    const found = await Photo.countDocuments(filter);
+    if (found !== new Set(photoIds.map(String)).size) {
+      return res.status(400).json({ error: 'Photos must be in this room' });
+    }
+
+    await Photo.updateMany(filter, { $addToSet: { albums: album._id } });
+    await broadcastPhotoLabels(req.room.name, photoIds);
+
+    res.status(200).json({ message: 'Photos added to album', albumId: album._id, photoIds });
+  } catch (error) {
+    console.error('❌ Error adding photos to album:', error);
+    res.status(500).json({ error: 'Failed to add photos to album', details: error.message });
+  }
+});
 
-// Upload Route
-app.post('/api/upload', upload.any(), async (req, res) => {
+// Remove Photo from Album - Album creator, the photo's uploader or moderators
+app.delete('/api/rooms/:id/albums/:albumId/photos/:photoId', requireAuth, requireRoomMember, async (req, res) => {
   try {
-    if (!req.files || req.files.length === 0) {
-      return res.status(400).json({ error: 'No files uploaded' });
+    const { photoId } = req.params;
+    const { username } = req.user;
+
+    const album = await findAlbum(req.room, req.params.albumId);
+    const photo = mongoose.isValidObjectId(photoId)
+      ? await Photo.findOne({ _id: photoId, roomName: req.room.name, albums: album?._id })
+      : null;
+    if (!album || !photo) {
+      return res.status(404).json({ error: 'Photo not found in album' });
+    }
+
+    if (photo.username !== username && !canManageAlbum(req.room, album, username)) {
+      return res.status(403).json({ error: 'Only the uploader, album creator or moderators can remove it' });
     }
 
-    const file = req.files[0];
-    console.log(`📤 Starting upload for: ${file.originalname}`);
+    await Photo.updateOne({ _id: photo._id }, { $pull: { albums: album._id } });
+    await broadcastPhotoLabels(req.room.name, [photo._id]);
+
+    res.status(200).json({ message: 'Photo removed from album' });
+  } catch (error) {
+    console.error('❌ Error removing photo from album:', error);
+    res.status(500).json({ error: 'Failed to remove photo from album', details: error.message });
+  }
+});
 
-    // DIRECT STREAM UPLOAD (No temp files needed!)
-    const result = await streamUpload(file.buffer);
-    
-    console.log("✅ Cloudinary upload success:", result.secure_url);
+// List Tags - Every tag used in the room with its photo count, most used first
+app.get('/api/rooms/:id/tags', requireAuth, requireRoomMember, async (req, res) => {
+  try {
+    const tags = await Photo.aggregate([
+      { $match: { roomName: req.room.name, tags: { $exists: true, $ne: [] } } },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+    ]);
 
-    // Save to DB
-    const { roomName, username } = req.body;
-    const newPhoto = new Photo({
-      imageUrl: result.secure_url,
-      publicId: result.public_id,
-      roomName: roomName || 'general',
-      username: username || 'Anonymous'
+    res.status(200).json({
+      roomName: req.room.name,
+      tags: tags.map(({ _id, count }) => ({ tag: _id, count })),
     });
-    
-    await newPhoto.save(); 
+  } catch (error) {
+    console.error('❌ Error fetching tags:', error);
+    res.status(500).json({ error: 'Failed to fetch tags', details: error.message });
+  }
+});
+
+// Set Photo Tags - { tags } replaces the list; uploader or moderators
+app.put('/api/photos/:id/tags', requireAuth, requirePhotoMember, async (req, res) => {
+  try {
+    const { username } = req.user;
+    const { photo } = req;
+
+    if (photo.username !== username && !req.room.canModerate(username, photo.username)) {
+      return res.status(403).json({ error: 'You can only tag your own photos' });
+    }
 
-    console.log("🎉 DB Save Success!");
-    res.json(newPhoto);
+    const tags = normalizeTags(req.body.tags);
+    await Photo.updateOne({ _id: photo._id }, { $set: { tags } });
+    await broadcastPhotoLabels(photo.roomName, [photo._id]);
 
+    res.status(200).json({ photoId: photo._id, tags });
   } catch (error) {
-    console.error("❌ Upload Failed:", error);
-    res.status(500).json({ error: error.message });
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('❌ Error tagging photo:', error);
+    res.status(500).json({ error: 'Failed to tag photo', details: error.message });
   }
 });
 
-// Get Photos Route
-app.get('/api/photos/:roomName', async (req, res) => {
+const MAX_CAPTION_LENGTH = 500;
+
+// Set Caption - Uploader or a moderator; empty clears it
+app.put('/api/photos/:id/caption', requireAuth, requirePhotoMember, async (req, res) => {
   try {
-    const { roomName } = req.params;
-    const photos = await Photo.find({ roomName: roomName }).sort({ createdAt: -1 });
-    res.status(200).json(photos);
+    const { username } = req.user;
+    const { photo } = req;
+
+    if (photo.username !== username && !req.room.canModerate(username, photo.username)) {
+      return res.status(403).json({ error: 'You can only caption your own photos' });
+    }
+
+    const caption = typeof req.body.caption === 'string' ? req.body.caption.trim() : '';
+    if (caption.length > MAX_CAPTION_LENGTH) {
+      return res.status(400).json({ error: `Captions are limited to ${MAX_CAPTION_LENGTH} characters` });
+    }
+
+    await Photo.updateOne({ _id: photo._id }, { $set: { caption } });
+    await broadcastPhotoLabels(photo.roomName, [photo._id]);
+
+    res.status(200).json({ photoId: photo._id, caption });
   } catch (error) {
-    console.error('❌ Error fetching photos:', error);
-    res.status(500).json({ error: 'Failed to fetch photos' });
+    console.error('❌ Error captioning photo:', error);
+    res.status(500).json({ error: 'Failed to caption photo', details: error.message });
   }
 });
 
-// ================= USER PRESENCE ROUTES =================
+// ================= SEARCH =================
 
-// Join Room - Add user to active users
-app.post('/api/users/join', (req, res) => {
+const SEARCH_LIMIT = 20;
+const MIN_QUERY_LENGTH = 2;
+const MAX_QUERY_LENGTH = 100;
+const DAY = 24 * 60 * 60 * 1000;
+
+// createdAt bounds from ?from=&to= (ISO dates). A bare date for `to` includes
+// that whole day. Throws { status: 400 }.
+const parseDateRange = ({ from, to }) => {
+  const range = {};
+
+  if (from) {
+    range.$gte = new Date(String(from));
+  }
+  if (to) {
+    const end = new Date(String(to));
+    range.$lt = /^\d{4}-\d{2}-\d{2}$/.test(String(to)) ? new Date(end.getTime() + DAY) : new Date(end.getTime() + 1);
+  }
+  if (Object.values(range).some((date) => Number.isNaN(date.getTime()))) {
+    throw Object.assign(new Error('from and to must be dates'), { status: 400 });
+  }
+  return Object.keys(range).length > 0 ? range : null;
+};
+
+// Search Room - Full-text over photo captions/tags and chat messages,
+// best matches first. Optional ?user=, ?from=, ?to= and ?type=photos|messages
+app.get('/api/rooms/:roomName/search', requireAuth, requireRoomMember, async (req, res) => {
   try {
-    const { roomName, username } = req.body;
+    const q = String(req.query.q || '').trim();
+    if (q.length < MIN_QUERY_LENGTH || q.length > MAX_QUERY_LENGTH) {
+      return res.status(400).json({ error: `Search for ${MIN_QUERY_LENGTH}-${MAX_QUERY_LENGTH} characters` });
+    }
+
+    const { type } = req.query;
+    if (type && type !== 'photos' && type !== 'messages') {
+      return res.status(400).json({ error: 'type must be photos or messages' });
+    }
+
+    const filter = { roomName: req.room.name, $text: { $search: q } };
+    if (req.query.user) {
+      filter.username = String(req.query.user);
+    }
+    const createdAt = parseDateRange(req.query);
+    if (createdAt) {
+      filter.createdAt = createdAt;
+    }
+
+    const search = (Model) =>
+      Model.find(filter, { score: { $meta: 'textScore' } })
+        .sort({ score: { $meta: 'textScore' }, createdAt: -1 })
+        .limit(SEARCH_LIMIT);
+
+    const [photos, messages] = await Promise.all([
+      type === 'messages' ? [] : search(Photo),
+      type === 'photos' ? [] : search(Chat).populate('attachments'),
+    ]);
 
-    if (!roomName || !username) {
-      return res.status(400).json({ error: 'roomName and username required' });
+    res.status(200).json({ photos, messages });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
     }
+    console.error('❌ Error searching room:', error);
+    res.status(500).json({ error: 'Failed to search', details: error.message });
+  }
+});
+
+// ================= RETENTION =================
 
-    // Initialize room if it doesn't exist
-    if (!activeUsers[roomName]) {
-      activeUsers[roomName] = {};
+// Retention Status - The policy and what expires soon (for the warning banner)
+app.get('/api/rooms/:id/retention', requireAuth, requireRoomMember, async (req, res) => {
+  try {
+    res.status(200).json(await retentionStatus(req.room));
+  } catch (error) {
+    console.error('❌ Error fetching retention status:', error);
+    res.status(500).json({ error: 'Failed to fetch retention status', details: error.message });
+  }
+});
+
+// Set Retention - Owner only; { photoDays, chatDays }, empty keeps forever
+app.put('/api/rooms/:id/retention', requireAuth, requireRoomMember, async (req, res) => {
+  try {
+    const { room } = req;
+    const { username } = req.user;
+
+    if (room.owner !== username) {
+      return res.status(403).json({ error: 'Only the room owner can change retention' });
     }
 
-    // Add or update user
-    activeUsers[roomName][username] = {
-      joinedAt: Date.now(),
-      lastSeen: Date.now(),
+    room.retention = {
+      photoDays: parseRetentionDays(req.body.photoDays, 'photoDays'),
+      chatDays: parseRetentionDays(req.body.chatDays, 'chatDays'),
     };
+    await room.save();
+
+    const status = await retentionStatus(room);
+    broadcast(room.name, 'room:retention', status);
+    console.log(`⏳ ${username} set retention for ${room.name}:`, status.retention);
+    res.status(200).json(status);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('❌ Error setting retention:', error);
+    res.status(500).json({ error: 'Failed to set retention', details: error.message });
+  }
+});
+
+// Retention Report - Admins: dry run of what the next purge would delete (?room=)
+app.get('/api/admin/retention/report', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const report = await retentionReport({ roomName: req.query.room ? String(req.query.room) : undefined });
+    res.status(200).json(report);
+  } catch (error) {
+    console.error('❌ Error building retention report:', error);
+    res.status(500).json({ error: 'Failed to build retention report', details: error.message });
+  }
+});
+
+// ================= ROOM EXPORT & IMPORT =================
+
+// Export Room - Owner only. A ZIP of manifest.json (room, albums, photo
+// metadata, comments, chat history) plus every original under media/,
+// ready for POST /api/rooms/import on another server. ?token= like downloads.
+app.get('/api/rooms/:roomName/export', requireAuth, requireRoomMember, async (req, res) => {
+  try {
+    const { room } = req;
+    const { username } = req.user;
+
+    if (room.owner !== username) {
+      return res.status(403).json({ error: 'Only the room owner can export the room' });
+    }
+
+    const manifest = await buildManifest(room);
+    const photos = Photo.find({ roomName: room.name }).sort({ createdAt: 1, _id: 1 }).cursor();
+    const count = await streamPhotoArchive(res, photos, `${safeFilename(room.name) || 'vibeshare'}-export.zip`, {
+      nameOf: mediaNameOf,
+      entries: [{ name: MANIFEST_NAME, data: JSON.stringify(manifest, null, 2) }],
+    });
+    console.log(`🗄️ ${username} exported ${room.name} (${count} photo(s), ${manifest.messages.length} message(s))`);
+  } catch (error) {
+    console.error('❌ Error exporting room:', error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ error: 'Failed to export room', details: error.message });
+  }
+});
+
+// Exports can be far bigger than any single upload, so they go to disk
+const importUpload = multer({
+  dest: IMPORT_LIMITS.tempDir,
+  limits: { fileSize: IMPORT_LIMITS.maxArchiveSize, files: 1 },
+});
+
+const acceptArchive = (req, res, next) => {
+  importUpload.single('archive')(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return res.status(status).json({ error: err.message, code: err.code });
+    }
+    next(err);
+  });
+};
+
+// Import Room - Admins: recreate a room from an export (multipart "archive",
+// optional "name" to import under a different name). The importing admin
+// becomes the owner; media is re-uploaded to this server's storage and
+// every id is remapped.
+app.post('/api/rooms/import', requireAuth, requireAdmin, acceptArchive, async (req, res) => {
+  try {
+    const { username } = req.user;
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'No archive uploaded' });
+    }
+
+    const { name } = req.body;
+    if (name !== undefined && name !== '' && (typeof name !== 'string' || !ROOM_NAME_PATTERN.test(name.trim()))) {
+      return res.status(400).json({ error: 'Room name must be 1-60 characters without / ? or #' });
+    }
+
+    const { room, imported, skipped } = await importRoom(req.file.path, {
+      name: name?.trim() || undefined,
+      owner: username,
+    });
+
+    console.log(`🗄️ ${username} imported ${room.name}:`, imported, skipped.length ? `(${skipped.length} skipped)` : '');
+    res.status(201).json({ room: room.toPublicJSON(username), imported, skipped });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('❌ Error importing room:', error);
+    res.status(500).json({ error: 'Failed to import room', details: error.message });
+  } finally {
+    if (req.file) {
+      await fs.rm(req.file.path, { force: true });
+    }
+  }
+});
 
+// ================= USER PRESENCE ROUTES =================
+
+// Join Room - Add user to active users
+app.post('/api/users/join', requireAuth, requireRoomMember, async (req, res) => {
+  try {
+    const roomName = req.room.name;
+    const { username } = req.user;
+
+    const { entry, created, changed } = await presence.join(roomName, username, sessionOf(req));
+    if (created) {
+      broadcast(roomName, 'user:joined', entry);
+    } else if (changed) {
+      broadcast(roomName, 'user:updated', entry);
+    }
+
+    const users = await presence.list(roomName);
     console.log(`🟢 ${username} joined room: ${roomName}`);
-    console.log(`📊 Active users in ${roomName}:`, Object.keys(activeUsers[roomName]));
+    console.log(`📊 Active users in ${roomName}:`, users.map((u) => u.username));
 
     res.status(200).json({ 
       message: 'Joined room', 
-      activeUsers: activeUsers[roomName] 
+      activeUsers: toUserMap(users) 
     });
   } catch (error) {
     console.error('❌ Error joining room:', error);
@@ -169,28 +1638,27 @@ app.post('/api/users/join', (req, res) => {
   }
 });
 
-// Heartbeat - Keep user alive and update lastSeen
-app.post('/api/users/heartbeat', (req, res) => {
+// Heartbeat - Keep this tab's session alive and update lastSeen.
+// Optional body fields report state: status ('active' | 'idle') and
+// viewingPhotoId (photo open in the lightbox, null when closed).
+app.post('/api/users/heartbeat', requireAuth, requireRoomMember, async (req, res) => {
   try {
-    const { roomName, username } = req.body;
-
-    if (!roomName || !username) {
-      return res.status(400).json({ error: 'roomName and username required' });
-    }
+    const roomName = req.room.name;
+    const { status, viewingPhotoId } = req.body;
+    const { username } = req.user;
 
-    // Initialize room if it doesn't exist
-    if (!activeUsers[roomName]) {
-      activeUsers[roomName] = {};
+    const { entry, created, changed } = await presence.heartbeat(roomName, username, sessionOf(req), {
+      status,
+      viewingPhotoId,
+    });
+    if (created) {
+      broadcast(roomName, 'user:joined', entry);
+    } else if (changed) {
+      broadcast(roomName, 'user:updated', entry);
     }
 
-    // Update or add user
-    activeUsers[roomName][username] = {
-      joinedAt: activeUsers[roomName][username]?.joinedAt || Date.now(),
-      lastSeen: Date.now(),
-    };
-
     res.status(200).json({ 
-      activeUsers: activeUsers[roomName] 
+      activeUsers: toUserMap(await presence.list(roomName)) 
     });
   } catch (error) {
     console.error('❌ Error in heartbeat:', error);
@@ -198,18 +1666,35 @@ app.post('/api/users/heartbeat', (req, res) => {
   }
 });
 
+// Join/Leave History - Newest first, cursor paginated (?before=)
+app.get('/api/users/:roomName/history', requireAuth, requireRoomMember, async (req, res) => {
+  try {
+    const roomName = req.room.name;
+    const filter = { roomName };
+    if (req.query.username) {
+      filter.username = String(req.query.username);
+    }
+
+    const page = await findPage(PresenceEvent, filter, { before: req.query.before, limit: req.query.limit }, 50);
+
+    res.status(200).json({
+      roomName,
+      events: page.items,
+      hasMore: page.hasMore,
+      nextCursor: page.nextCursor,
+    });
+  } catch (error) {
+    console.error('❌ Error fetching presence history:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
 // Get Active Users in Room
-app.get('/api/users/:roomName', (req, res) => {
+app.get('/api/users/:roomName', requireAuth, requireRoomMember, async (req, res) => {
   try {
-    const { roomName } = req.params;
+    const roomName = req.room.name;
 
-    const users = activeUsers[roomName] 
-      ? Object.keys(activeUsers[roomName]).map((username) => ({
-          username,
-          joinedAt: activeUsers[roomName][username].joinedAt,
-          lastSeen: activeUsers[roomName][username].lastSeen,
-        }))
-      : [];
+    const users = await presence.list(roomName);
 
     res.status(200).json({ 
       roomName,
@@ -222,23 +1707,33 @@ app.get('/api/users/:roomName', (req, res) => {
   }
 });
 
-// Leave Room - Remove user from active users
-app.delete('/api/users/leave', (req, res) => {
-  try {
-    const { roomName, username } = req.body;
+// Typing Indicator - Relayed to the room, not stored.
+// Clients repeat { isTyping: true } while typing; it lapses after TYPING_TIMEOUT.
+app.post('/api/users/typing', requireAuth, requireRoomMember, (req, res) => {
+  const roomName = req.room.name;
+  const { isTyping } = req.body;
+  const { username } = req.user;
 
-    if (!roomName || !username) {
-      return res.status(400).json({ error: 'roomName and username required' });
-    }
+  broadcast(roomName, 'user:typing', {
+    username,
+    isTyping: Boolean(isTyping),
+    expiresIn: TYPING_TIMEOUT,
+  });
+  res.status(200).json({ message: 'Typing status sent' });
+});
 
-    if (activeUsers[roomName] && activeUsers[roomName][username]) {
-      delete activeUsers[roomName][username];
-      console.log(`🔴 ${username} left room: ${roomName}`);
-    }
+// Leave Room - Close this tab's session; the user leaves with their last one
+app.delete('/api/users/leave', requireAuth, requireRoomMember, async (req, res) => {
+  try {
+    const roomName = req.room.name;
+    const { username } = req.user;
 
-    // Clean up empty rooms
-    if (activeUsers[roomName] && Object.keys(activeUsers[roomName]).length === 0) {
-      delete activeUsers[roomName];
+    const { left, entry } = await presence.leave(roomName, username, sessionOf(req));
+    if (left) {
+      broadcast(roomName, 'user:left', { username });
+      console.log(`🔴 ${username} left room: ${roomName}`);
+    } else if (entry) {
+      broadcast(roomName, 'user:updated', entry);
     }
 
     res.status(200).json({ message: 'Left room' });
@@ -250,22 +1745,84 @@ app.delete('/api/users/leave', (req, res) => {
 
 // ================= CHAT ROUTES =================
 
-// Send Chat Message
-app.post('/api/chat/send', async (req, res) => {
+// Quoted replies keep this much of the parent's text
+const REPLY_SNIPPET_LENGTH = 200;
+
+// Photos one message can carry
+const MAX_ATTACHMENTS = 4;
+
+// Usernames @mentioned in a message that belong to the room
+const parseMentions = (message, room) => {
+  const mentioned = new Set();
+  for (const [, name] of message.matchAll(/(?:^|[^\w@])@([A-Za-z0-9_.-]{3,30})/g)) {
+    // Trailing dots are punctuation ("thanks @alice.")
+    const username = name.replace(/\.+$/, '');
+    if (room.isMember(username)) {
+      mentioned.add(username);
+    }
+  }
+  return [...mentioned];
+};
+
+// Send Chat Message - { roomName, message, replyToId?, attachmentIds? }
+// replyToId quotes another message; attachmentIds are photos in the room
+// (upload new ones through /api/upload first). message may be empty when
+// there are attachments.
+app.post('/api/chat/send', requireAuth, requireRoomMember, async (req, res) => {
   try {
-    const { roomName, username, message } = req.body;
+    const roomName = req.room.name;
+    const { message = '', replyToId, attachmentIds = [] } = req.body;
+    const { username } = req.user;
+
+    if (req.room.isMuted(username)) {
+      return res.status(403).json({ error: 'You are muted in this room' });
+    }
+
+    if (!Array.isArray(attachmentIds) || attachmentIds.length > MAX_ATTACHMENTS) {
+      return res.status(400).json({ error: `attachmentIds must be a list of at most ${MAX_ATTACHMENTS} photo ids` });
+    }
+
+    if (typeof message !== 'string' || (!message.trim() && attachmentIds.length === 0)) {
+      return res.status(400).json({ error: 'message is required' });
+    }
+
+    const attachments = [...new Set(attachmentIds.map(String))];
+    if (attachments.length > 0) {
+      const found = attachments.every((id) => mongoose.isValidObjectId(id))
+        ? await Photo.countDocuments({ _id: { $in: attachments }, roomName: req.room.name })
+        : 0;
+      if (found !== attachments.length) {
+        return res.status(400).json({ error: 'Attachments must be photos in this room' });
+      }
+    }
 
-    if (!roomName || !username || !message) {
-      return res.status(400).json({ error: 'roomName, username, and message are required' });
+    let replyTo = null;
+    if (replyToId) {
+      const parent = mongoose.isValidObjectId(replyToId)
+        ? await Chat.findOne({ _id: replyToId, roomName: req.room.name })
+        : null;
+      if (!parent) {
+        return res.status(400).json({ error: 'replyToId must be a message in this room' });
+      }
+      replyTo = {
+        _id: parent._id,
+        username: parent.username,
+        message: parent.message.slice(0, REPLY_SNIPPET_LENGTH),
+      };
     }
 
     const newChat = new Chat({
       roomName,
       username,
       message: message.trim(),
+      attachments,
+      replyTo,
+      mentions: parseMentions(message, req.room),
     });
 
     await newChat.save();
+    await newChat.populate('attachments');
+    broadcast(roomName, 'chat:sent', newChat);
 
     console.log(`💬 Message from ${username} in ${roomName}: ${message.substring(0, 50)}...`);
     res.status(201).json(newChat);
@@ -275,47 +1832,40 @@ app.post('/api/chat/send', async (req, res) => {
   }
 });
 
-// Get Chat Messages for Room (with pagination)
-app.get('/api/chat/:roomName', async (req, res) => {
+// Get Chat Messages for Room - Cursor paginated
+//   (no cursor)       newest page, newest first
+//   ?before=<cursor>  older page, newest first ("load older messages")
+//   ?since=<cursor>   only messages after the cursor, oldest first (incremental sync)
+app.get('/api/chat/:roomName', requireAuth, requireRoomMember, async (req, res) => {
   try {
-    const { roomName } = req.params;
-    const { limit = 50, skip = 0 } = req.query;
-
-    const messages = await Chat.find({ roomName })
-      .sort({ createdAt: 1 })
-      .skip(parseInt(skip))
-      .limit(parseInt(limit));
-
-    const totalMessages = await Chat.countDocuments({ roomName });
+    const roomName = req.room.name;
+    const page = await findPage(Chat, { roomName }, req.query, 50, { populate: 'attachments' });
 
     res.status(200).json({
       roomName,
-      totalMessages,
-      messages,
+      messages: page.items,
+      hasMore: page.hasMore,
+      nextCursor: page.nextCursor,
     });
   } catch (error) {
     console.error('❌ Error fetching messages:', error);
-    res.status(500).json({ error: 'Failed to fetch messages', details: error.message });
+    res.status(error.status || 500).json({ error: 'Failed to fetch messages', details: error.message });
   }
 });
 
-// Delete Chat Message (only by sender)
-app.delete('/api/chat/:messageId', async (req, res) => {
+// Delete Chat Message (by sender, owner or moderator)
+app.delete('/api/chat/:messageId', requireAuth, requireMessageMember, async (req, res) => {
   try {
     const { messageId } = req.params;
-    const { username } = req.body;
-
-    const chat = await Chat.findById(messageId);
-
-    if (!chat) {
-      return res.status(404).json({ error: 'Message not found' });
-    }
+    const { username } = req.user;
+    const { chat, room } = req;
 
-    if (chat.username !== username) {
+    if (chat.username !== username && !room.canModerate(username, chat.username)) {
       return res.status(403).json({ error: 'You can only delete your own messages' });
     }
 
     await Chat.findByIdAndDelete(messageId);
+    broadcast(chat.roomName, 'chat:deleted', { _id: messageId });
     console.log(`🗑️ Message deleted by ${username}`);
     res.status(200).json({ message: 'Message deleted' });
   } catch (error) {
@@ -324,6 +1874,105 @@ app.delete('/api/chat/:messageId', async (req, res) => {
   }
 });
 
+// Edit Message - Sender only; the previous text is kept in the edit history
+app.patch('/api/chat/:messageId', requireAuth, requireMessageMember, async (req, res) => {
+  try {
+    const { message } = req.body;
+    const { username } = req.user;
+    const { chat } = req;
+
+    if (chat.username !== username) {
+      return res.status(403).json({ error: 'You can only edit your own messages' });
+    }
+
+    if (req.room.isMuted(username)) {
+      return res.status(403).json({ error: 'You are muted in this room' });
+    }
+
+    if (typeof message !== 'string' || (!message.trim() && chat.attachments.length === 0)) {
+      return res.status(400).json({ error: 'message is required' });
+    }
+
+    if (message.trim() === chat.message) {
+      return res.status(200).json(await chat.populate('attachments'));
+    }
+
+    const editedAt = new Date();
+    const updated = await Chat.findByIdAndUpdate(
+      chat._id,
+      {
+        $set: { message: message.trim(), editedAt, mentions: parseMentions(message, req.room) },
+        $push: { edits: { message: chat.message, editedAt: chat.editedAt || chat.createdAt } },
+      },
+      { new: true }
+    ).populate('attachments');
+
+    broadcast(chat.roomName, 'chat:updated', updated);
+    console.log(`✏️ Message edited by ${username}`);
+    res.status(200).json(updated);
+  } catch (error) {
+    console.error('❌ Error editing message:', error);
+    res.status(500).json({ error: 'Failed to edit message', details: error.message });
+  }
+});
+
+// Edit History - Earlier versions of a message, oldest first.
+// Each entry's editedAt is when that version was written.
+app.get('/api/chat/:messageId/history', requireAuth, requireMessageMember, async (req, res) => {
+  try {
+    const { edits } = await Chat.findById(req.chat._id).select('edits');
+
+    res.status(200).json({
+      messageId: req.chat._id,
+      message: req.chat.message,
+      editedAt: req.chat.editedAt,
+      edits,
+    });
+  } catch (error) {
+    console.error('❌ Error fetching edit history:', error);
+    res.status(500).json({ error: 'Failed to fetch edit history', details: error.message });
+  }
+});
+
+// Toggle Reaction - { emoji }: adds the user's reaction, or removes it if already there
+app.post('/api/chat/:messageId/reactions', requireAuth, requireMessageMember, async (req, res) => {
+  try {
+    const { emoji } = req.body;
+    const { username } = req.user;
+    const messageId = req.chat._id;
+
+    if (!isValidEmoji(emoji)) {
+      return res.status(400).json({ error: 'A single emoji is required' });
+    }
+
+    const result = await toggleReaction(Chat, messageId, emoji, username);
+    if (!result) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    const { reactions } = await Chat.findById(messageId, 'reactions');
+    const summary = summarizeReactions(reactions);
+    broadcast(req.chat.roomName, 'chat:reactions', { messageId, reactions: summary });
+
+    res.status(200).json({ messageId, reacted: result.reacted, reactions: summary });
+  } catch (error) {
+    console.error('❌ Error updating reaction:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// ================= REAL-TIME EVENTS =================
+
+// Subscribe to Room Events (SSE stream, replaces client polling).
+// ?session= ties the stream to the tab's presence session.
+app.get('/api/events/:roomName', requireAuth, requireRoomMember, (req, res) => {
+  const roomName = req.room.name;
+  const { username } = req.user;
+
+  subscribe(req, res, roomName, username, sessionOf(req));
+  console.log(`📡 ${username} subscribed to events in ${roomName}`);
+});
+
 // Health Check
 app.get('/api/health', (req, res) => {
   res.status(200).json({ message: 'Server is running' });
@@ -0,0 +1,66 @@
+import cloudinary from 'cloudinary';
+import stream from 'stream'; // Native Node module
+
+// Configure Cloudinary
+cloudinary.v2.config({
+  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+  api_key: process.env.CLOUDINARY_API_KEY,
+  api_secret: process.env.CLOUDINARY_API_SECRET,
+});
+
+const FOLDER = 'vibeshare';
+
+// Stream Upload to Cloudinary (Bypasses local disk)
+const put = (buffer) => {
+  return new Promise((resolve, reject) => {
+    const source = stream.Readable.from(buffer);
+    const uploadStream = cloudinary.v2.uploader.upload_stream(
+      {
+        folder: FOLDER,
+        resource_type: 'auto',
+      },
+      (error, result) => {
+        if (result) {
+          resolve({ key: result.public_id, url: result.secure_url });
+        } else {
+          reject(error);
+        }
+      }
+    );
+    source.pipe(uploadStream);
+  });
+};
+
+const getUrl = (key) => cloudinary.v2.url(key, { secure: true });
+
+// Keys don't record whether Cloudinary filed an upload as an image or a
+// video, so lookups try both
+const RESOURCE_TYPES = ['image', 'video'];
+
+// Stream a stored file from the CDN without buffering it
+const createReadStream = async (key) => {
+  let status;
+  for (const resourceType of RESOURCE_TYPES) {
+    const response = await fetch(cloudinary.v2.url(key, { secure: true, resource_type: resourceType }));
+    if (response.ok) {
+      return stream.Readable.fromWeb(response.body);
+    }
+    status = response.status;
+  }
+  throw new Error(`Failed to fetch ${key} from Cloudinary (HTTP ${status})`);
+};
+
+const remove = async (key) => {
+  for (const resourceType of RESOURCE_TYPES) {
+    const { result } = await cloudinary.v2.uploader.destroy(key, { resource_type: resourceType });
+    if (result !== 'not found') return;
+  }
+};
+
+export default {
+  name: 'cloudinary',
+  put,
+  getUrl,
+  createReadStream,
+  remove,
+};
@@ -0,0 +1,32 @@
+// ===========================================
+// 🗄️ STORAGE BACKEND SELECTION
+// ===========================================
+// Every adapter exposes the same interface:
+//   put(buffer, file) -> { key, url }   store a file, return its storage key and public URL
+//   getUrl(key)       -> url            public URL for a stored key
+//   createReadStream(key) -> Readable   stream a stored file (async)
+//   remove(key)                         delete a stored file
+//
+// STORAGE_DRIVER picks the adapter ('cloudinary' or 'local'). When unset we
+// use Cloudinary if credentials are configured, otherwise the local disk.
+import cloudinaryStorage from './cloudinary.js';
+import localDiskStorage from './local.js';
+
+const adapters = {
+  cloudinary: cloudinaryStorage,
+  local: localDiskStorage,
+};
+
+const driver = process.env.STORAGE_DRIVER
+  || (process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local');
+
+if (!adapters[driver]) {
+  throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected one of: ${Object.keys(adapters).join(', ')})`);
+}
+
+const storage = adapters[driver];
+
+// Look up the adapter a file was stored with, falling back to the active one
+export const getStorage = (name) => adapters[name] || storage;
+
+export default storage;
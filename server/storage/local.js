@@ -0,0 +1,56 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+// Files live on disk under LOCAL_STORAGE_DIR and are served by the
+// Express static route mounted in server.js at /uploads
+const dir = path.resolve(process.env.LOCAL_STORAGE_DIR || 'uploads');
+const baseUrl = (
+  process.env.LOCAL_STORAGE_BASE_URL || `http://localhost:${process.env.PORT || 5000}/uploads`
+).replace(/\/$/, '');
+
+// Keys are relative paths inside the storage dir, never user-supplied names
+const resolveKey = (key) => {
+  const filePath = path.resolve(dir, key);
+  if (!filePath.startsWith(dir + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return filePath;
+};
+
+const put = async (buffer, { originalname = '' } = {}) => {
+  const ext = path.extname(originalname).toLowerCase().replace(/[^.a-z0-9]/g, '');
+  const key = `vibeshare/${Date.now()}-${crypto.randomUUID()}${ext}`;
+  const filePath = resolveKey(key);
+
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, buffer);
+
+  return { key, url: getUrl(key) };
+};
+
+const getUrl = (key) => `${baseUrl}/${key}`;
+
+// Stream a stored file; rejects up front if it's missing
+const createReadStream = async (key) => {
+  const handle = await fs.open(resolveKey(key));
+  return handle.createReadStream();
+};
+
+const remove = async (key) => {
+  try {
+    await fs.unlink(resolveKey(key));
+  } catch (error) {
+    // Already gone is as good as deleted
+    if (error.code !== 'ENOENT') throw error;
+  }
+};
+
+export default {
+  name: 'local',
+  dir,
+  put,
+  getUrl,
+  createReadStream,
+  remove,
+};
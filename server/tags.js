@@ -0,0 +1,46 @@
+// ===========================================
+// 🏷️ PHOTO TAGS
+// ===========================================
+// Tags are free-form but normalised so "Beach", "#beach" and "beach " match.
+
+export const MAX_TAGS_PER_PHOTO = 20;
+export const MAX_TAG_LENGTH = 30;
+
+// Letters, digits, "-" and "_" (any script)
+const TAG_PATTERN = /^[\p{L}\p{N}_-]+$/u;
+
+// "#Summer Trip" -> "summer-trip"; null if nothing usable is left
+export const normalizeTag = (tag) => {
+  if (typeof tag !== 'string') return null;
+
+  const normalized = tag.trim().replace(/^#+/, '').toLowerCase().replace(/\s+/g, '-');
+  if (!normalized || normalized.length > MAX_TAG_LENGTH || !TAG_PATTERN.test(normalized)) {
+    return null;
+  }
+  return normalized;
+};
+
+// Normalise and de-duplicate a list of tags. Throws { status: 400 } on
+// invalid input so routes can answer with the message directly.
+export const normalizeTags = (tags) => {
+  if (!Array.isArray(tags)) {
+    throw Object.assign(new Error('tags must be a list'), { status: 400 });
+  }
+
+  const normalized = new Set();
+  for (const tag of tags) {
+    const value = normalizeTag(tag);
+    if (!value) {
+      throw Object.assign(
+        new Error(`Invalid tag "${tag}": use up to ${MAX_TAG_LENGTH} letters, digits, "-" or "_"`),
+        { status: 400 }
+      );
+    }
+    normalized.add(value);
+  }
+
+  if (normalized.size > MAX_TAGS_PER_PHOTO) {
+    throw Object.assign(new Error(`At most ${MAX_TAGS_PER_PHOTO} tags per photo`), { status: 400 });
+  }
+  return [...normalized];
+};
@@ -0,0 +1,364 @@
+import storage, { getStorage } from './storage/index.js';
+import Photo from './models/Photo.js';
+import PhotoComment from './models/PhotoComment.js';
+import Chat from './models/Chat.js';
+import { generateVariants, readMetadata, sanitizeImage, encodePoster, perceptualHash, STRIP_METADATA } from './images.js';
+import { VIDEO_EXTENSIONS, withTempFile, probeVideo, extractPoster, stripVideoMetadata } from './videos.js';
+import { contentHashOf, hashBandsOf, findExactDuplicate, findSimilarGroup } from './duplicates.js';
+
+const MB = 1024 * 1024;
+
+// Configurable through the environment, sizes in bytes
+export const UPLOAD_LIMITS = {
+  maxFileSize: Number(process.env.MAX_UPLOAD_BYTES) || 15 * MB,
+  maxVideoSize: Number(process.env.MAX_VIDEO_BYTES) || 100 * MB,
+  maxVideoDuration: Number(process.env.MAX_VIDEO_SECONDS) || 60,
+  maxFiles: Number(process.env.MAX_UPLOAD_FILES) || 10,
+  // How many files of one batch are processed at the same time
+  concurrency: Number(process.env.UPLOAD_CONCURRENCY) || 3,
+  userQuota: Number(process.env.USER_QUOTA_BYTES) || 500 * MB,
+  roomQuota: Number(process.env.ROOM_QUOTA_BYTES) || 2048 * MB,
+};
+
+// Error with the HTTP status and machine-readable code the client shows per file
+export class UploadError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// The file is already in the room; photoId lets the client link to that copy
+const duplicateError = (file, photoId) =>
+  Object.assign(new UploadError(409, 'DUPLICATE', `${file.originalname} is already in this room`), { photoId });
+
+// Identify an image by its magic bytes - never trust the filename or Content-Type
+export const sniffImageType = (buffer) => {
+  if (buffer.length < 12) return null;
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'image/png';
+  }
+  const header = buffer.toString('latin1', 0, 12);
+  if (header.startsWith('GIF87a') || header.startsWith('GIF89a')) {
+    return 'image/gif';
+  }
+  if (header.startsWith('RIFF') && header.slice(8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  return null;
+};
+
+// ISO base media brands we accept as video - HEIC/AVIF images and M4A
+// audio use the same container with other brands
+const VIDEO_BRANDS = ['isom', 'iso2', 'iso4', 'iso5', 'iso6', 'mp41', 'mp42', 'avc1', 'M4V ', 'dash', '3gp4', '3gp5', '3g2a'];
+
+// Identify a video container by its magic bytes
+export const sniffVideoType = (buffer) => {
+  if (buffer.length < 12) return null;
+
+  if (buffer.toString('latin1', 4, 8) === 'ftyp') {
+    const brand = buffer.toString('latin1', 8, 12);
+    if (brand === 'qt  ') return 'video/quicktime';
+    if (VIDEO_BRANDS.includes(brand)) return 'video/mp4';
+    return null;
+  }
+  // EBML header; Matroska files other than WebM aren't reliably playable
+  if (buffer[0] === 0x1a && buffer[1] === 0x45 && buffer[2] === 0xdf && buffer[3] === 0xa3) {
+    return buffer.subarray(0, 64).includes('webm') ? 'video/webm' : null;
+  }
+  return null;
+};
+
+export const ACCEPTED_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', ...Object.keys(VIDEO_EXTENSIONS)];
+
+export const isVideoType = (mimeType) => Boolean(VIDEO_EXTENSIONS[mimeType]);
+
+// Size cap for a type: videos have their own, everything else is an image
+export const maxSizeOf = (mimeType) => (isVideoType(mimeType) ? UPLOAD_LIMITS.maxVideoSize : UPLOAD_LIMITS.maxFileSize);
+
+export const tooLargeError = (mimeType) =>
+  new UploadError(
+    413,
+    'FILE_TOO_LARGE',
+    `${isVideoType(mimeType) ? 'Videos' : 'Images'} must be ${Math.round(maxSizeOf(mimeType) / MB)} MB or smaller`
+  );
+
+const sumSize = async (match) => {
+  const [result] = await Photo.aggregate([
+    { $match: match },
+    { $group: { _id: null, total: { $sum: '$size' } } },
+  ]);
+  return result?.total || 0;
+};
+
+// Bytes of files validated but not yet saved as Photos, per quota key. Files
+// checked at the same time (a batch, parallel requests) would otherwise all
+// pass against the same usage total and overshoot the quota together.
+const reservedBytes = new Map();
+
+// Returns a release function; calling it more than once is harmless
+const reserve = (keys, size) => {
+  for (const key of keys) {
+    reservedBytes.set(key, (reservedBytes.get(key) || 0) + size);
+  }
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    for (const key of keys) {
+      const left = reservedBytes.get(key) - size;
+      if (left > 0) reservedBytes.set(key, left);
+      else reservedBytes.delete(key);
+    }
+  };
+};
+
+// Reserve `size` bytes if current usage plus in-flight reservations leave
+// room for them under both quotas. Resolves with the release function.
+const reserveQuota = async ({ roomName, username }, size) => {
+  const [userUsage, roomUsage] = await Promise.all([
+    sumSize({ username }),
+    sumSize({ roomName }),
+  ]);
+
+  // No await from here on, so the check and the reservation can't interleave
+  const userKey = `user:${username}`;
+  const roomKey = `room:${roomName}`;
+  if (userUsage + (reservedBytes.get(userKey) || 0) + size > UPLOAD_LIMITS.userQuota) {
+    throw new UploadError(413, 'USER_QUOTA_EXCEEDED', 'You have used up your storage quota');
+  }
+  if (roomUsage + (reservedBytes.get(roomKey) || 0) + size > UPLOAD_LIMITS.roomQuota) {
+    throw new UploadError(413, 'ROOM_QUOTA_EXCEEDED', 'This room has used up its storage quota');
+  }
+
+  return reserve([userKey, roomKey], size);
+};
+
+// Reject files that aren't a supported image or video or would exceed a
+// size limit or storage quota. Resolves with the sniffed type and a release
+// function that frees the file's quota reservation once it is saved or failed.
+export const validateUpload = async (file, { roomName, username }) => {
+  const mimeType = sniffImageType(file.buffer) || sniffVideoType(file.buffer);
+  if (!mimeType) {
+    throw new UploadError(
+      415,
+      'UNSUPPORTED_TYPE',
+      `${file.originalname} is not a JPEG, PNG, GIF or WebP image or an MP4, MOV or WebM video`
+    );
+  }
+  if (file.size > maxSizeOf(mimeType)) {
+    throw tooLargeError(mimeType);
+  }
+
+  return { mimeType, release: await reserveQuota({ roomName, username }, file.size) };
+};
+
+// ===========================================
+// 📦 UPLOAD PIPELINE
+// ===========================================
+// Store an uploaded file plus its resized variants and return the fields
+// to save on a Photo. Shared by every route that accepts images. EXIF is
+// read from the upload as-is; the stored original is upright and, by
+// default, stripped of GPS and other metadata (see sanitizeImage).
+export const storeImage = async (file, mimeType) => {
+  const buffer = await sanitizeImage(file.buffer, mimeType);
+  const [metadata, variants, hash] = await Promise.all([
+    readMetadata(file.buffer),
+    generateVariants(buffer),
+    perceptualHash(buffer),
+  ]);
+
+  const original = await storage.put(buffer, file);
+  const stored = await storeVariants(variants);
+
+  return {
+    mediaType: metadata.animated ? 'animated' : 'image',
+    duration: metadata.duration,
+    imageUrl: original.url,
+    publicId: original.key,
+    storage: storage.name,
+    width: metadata.width,
+    height: metadata.height,
+    exif: metadata.exif,
+    takenAt: metadata.exif.capturedAt || new Date(),
+    perceptualHash: hash,
+    hashBands: hashBandsOf(hash),
+    variants: stored.variants,
+    size: buffer.length + stored.size,
+  };
+};
+
+// Store resized variants, returning their Photo.variants entries and total bytes
+const storeVariants = async (variants) => {
+  let size = 0;
+  const stored = {};
+  for (const [name, variant] of Object.entries(variants)) {
+    size += variant.buffer.length;
+    const { url, key } = await storage.put(variant.buffer, { originalname: `${name}.webp` });
+    stored[name] = { url, key, width: variant.width, height: variant.height };
+  }
+  return { variants: stored, size };
+};
+
+// Store a video plus poster frames (the gallery's thumbnail/medium variants
+// and a full-size poster). Enforces the duration cap and, like images,
+// strips location and device metadata unless STRIP_IMAGE_METADATA=false.
+export const storeVideo = async (file, mimeType) => {
+  const ext = VIDEO_EXTENSIONS[mimeType];
+
+  let processed;
+  try {
+    processed = await withTempFile(file.buffer, ext, async (filePath) => {
+      const info = await probeVideo(filePath);
+      if (info.duration > UPLOAD_LIMITS.maxVideoDuration) {
+        throw new UploadError(
+          413,
+          'VIDEO_TOO_LONG',
+          `Videos must be ${UPLOAD_LIMITS.maxVideoDuration} seconds or shorter`
+        );
+      }
+
+      const poster = await extractPoster(filePath, info.duration);
+      const buffer = STRIP_METADATA ? await stripVideoMetadata(filePath, ext) : file.buffer;
+      return { info, poster, buffer };
+    });
+  } catch (error) {
+    if (error instanceof UploadError) throw error;
+    if (error.code === 'ENOENT') {
+      throw new UploadError(415, 'VIDEO_UNSUPPORTED', 'Video uploads are not enabled on this server');
+    }
+    throw new UploadError(415, 'INVALID_VIDEO', `${file.originalname} could not be read as a video`);
+  }
+
+  const { info, poster, buffer } = processed;
+  const [variants, posterVariant, hash] = await Promise.all([
+    generateVariants(poster),
+    encodePoster(poster),
+    perceptualHash(poster),
+  ]);
+
+  const original = await storage.put(buffer, { originalname: `video${ext}` });
+  const stored = await storeVariants({ ...variants, poster: posterVariant });
+
+  return {
+    mediaType: 'video',
+    duration: info.duration,
+    imageUrl: original.url,
+    publicId: original.key,
+    storage: storage.name,
+    width: info.width,
+    height: info.height,
+    takenAt: info.recordedAt || new Date(),
+    perceptualHash: hash,
+    hashBands: hashBandsOf(hash),
+    variants: stored.variants,
+    size: buffer.length + stored.size,
+  };
+};
+
+// Store an image or video (by its sniffed type) through the matching pipeline
+export const storeMedia = (file, mimeType) =>
+  isVideoType(mimeType) ? storeVideo(file, mimeType) : storeImage(file, mimeType);
+
+// Every storage key a photo owns (original + variants)
+export const storageKeysOf = (photo) => {
+  const keys = [photo.publicId];
+  for (const variant of Object.values(photo.variants || {})) {
+    keys.push(variant?.key);
+  }
+  return keys.filter(Boolean);
+};
+
+// Remove a photo for good: its stored files first (so a storage failure
+// leaves the record to retry with), then the record, its comments and any
+// chat attachments pointing at it
+export const deletePhoto = async (photo) => {
+  const photoStorage = getStorage(photo.storage);
+  for (const key of storageKeysOf(photo)) {
+    await photoStorage.remove(key);
+  }
+
+  await Photo.deleteOne({ _id: photo._id });
+  await PhotoComment.deleteMany({ photoId: photo._id });
+  await Chat.updateMany({ attachments: photo._id }, { $pull: { attachments: photo._id } });
+};
+
+// Best effort: drop stored files that won't be saved on a Photo
+const removeStored = (stored) => Promise.all(storageKeysOf(stored).map((key) => storage.remove(key).catch(() => {})));
+
+// Store and save an already validated file. Exact duplicates of a photo in
+// the room are refused before anything is stored. `quota.release` frees the
+// file's quota reservation; it is swapped for one of the stored size, which
+// variants and posters make larger than the upload.
+const savePhoto = async (file, mimeType, { roomName, username }, quota) => {
+  const contentHash = contentHashOf(file.buffer);
+  const existing = await findExactDuplicate(roomName, contentHash);
+  if (existing) {
+    throw duplicateError(file, existing._id);
+  }
+
+  const stored = await storeMedia(file, mimeType);
+
+  quota.release();
+  try {
+    quota.release = await reserveQuota({ roomName, username }, stored.size);
+  } catch (error) {
+    await removeStored(stored);
+    throw error;
+  }
+
+  const photo = new Photo({
+    ...stored,
+    contentHash,
+    similarTo: await findSimilarGroup(roomName, stored.perceptualHash),
+    originalName: file.originalname || '',
+    mimeType,
+    roomName,
+    username,
+  });
+
+  try {
+    await photo.save();
+  } catch (error) {
+    // Lost a race with an identical upload: drop our copy, point at theirs
+    if (error.code !== 11000) throw error;
+    await removeStored(stored);
+    const winner = await findExactDuplicate(roomName, contentHash);
+    throw duplicateError(file, winner?._id);
+  }
+
+  return photo;
+};
+
+// Validate, store and save one uploaded file as a Photo
+export const uploadPhoto = async (file, { roomName, username }) => {
+  const { mimeType, release } = await validateUpload(file, { roomName, username });
+  const quota = { release };
+  try {
+    return await savePhoto(file, mimeType, { roomName, username }, quota);
+  } finally {
+    // Saved photos count towards usage from here on
+    quota.release();
+  }
+};
+
+// Run fn over items with at most `limit` in flight, preserving result order
+export const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+};
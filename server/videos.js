@@ -0,0 +1,106 @@
+import { execFile } from 'child_process';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { promisify } from 'util';
+
+// ===========================================
+// 🎬 VIDEO PROCESSING (ffprobe / ffmpeg)
+// ===========================================
+// Videos are probed and remuxed with the ffmpeg binaries, which must be on
+// the PATH (or pointed to with FFPROBE_PATH / FFMPEG_PATH). Without them
+// every call rejects with an ENOENT error.
+const FFPROBE = process.env.FFPROBE_PATH || 'ffprobe';
+const FFMPEG = process.env.FFMPEG_PATH || 'ffmpeg';
+
+const run = promisify(execFile);
+
+// Container extension per sniffed type, so ffmpeg writes the same format back
+export const VIDEO_EXTENSIONS = {
+  'video/mp4': '.mp4',
+  'video/quicktime': '.mov',
+  'video/webm': '.webm',
+};
+
+const tempDir = path.join(os.tmpdir(), 'vibeshare-media');
+
+// ffmpeg only reads files, so hand it the buffer on disk and always clean up
+export const withTempFile = async (buffer, ext, fn) => {
+  await fs.mkdir(tempDir, { recursive: true });
+  const filePath = path.join(tempDir, `${crypto.randomUUID()}${ext}`);
+
+  try {
+    await fs.writeFile(filePath, buffer);
+    return await fn(filePath);
+  } finally {
+    await fs.rm(filePath, { force: true });
+  }
+};
+
+// Displayed dimensions, duration (seconds) and recording time of a video
+export const probeVideo = async (filePath) => {
+  const { stdout } = await run(FFPROBE, [
+    '-v', 'error',
+    '-print_format', 'json',
+    '-show_format',
+    '-show_streams',
+    filePath,
+  ]);
+  const { streams = [], format = {} } = JSON.parse(stdout);
+
+  const video = streams.find((s) => s.codec_type === 'video');
+  if (!video) {
+    throw Object.assign(new Error('No video stream found'), { code: 'NO_VIDEO_STREAM' });
+  }
+
+  // Phones record sideways and flag it - width and height swap on screen
+  const rotation = Number(
+    video.side_data_list?.find((d) => d.rotation !== undefined)?.rotation ?? video.tags?.rotate ?? 0
+  );
+  const sideways = Math.abs(rotation) % 180 === 90;
+
+  const recordedAt = new Date(format.tags?.creation_time || video.tags?.creation_time);
+
+  return {
+    width: sideways ? video.height : video.width,
+    height: sideways ? video.width : video.height,
+    duration: Number(format.duration || video.duration) || 0,
+    recordedAt: Number.isNaN(recordedAt.getTime()) ? undefined : recordedAt,
+  };
+};
+
+// Grab one frame (upright - ffmpeg applies rotation) as a PNG to build posters from
+export const extractPoster = async (filePath, duration) => {
+  // A second in skips black fade-ins without missing very short clips
+  const at = Math.min(1, duration / 2);
+  const { stdout } = await run(
+    FFMPEG,
+    ['-v', 'error', '-ss', String(at), '-i', filePath, '-frames:v', '1', '-f', 'image2pipe', '-vcodec', 'png', '-'],
+    { encoding: 'buffer', maxBuffer: 64 * 1024 * 1024 }
+  );
+  return stdout;
+};
+
+// Copy the audio/video streams into a fresh container without the global
+// metadata (location, device, owner tags). No re-encoding, so it's cheap.
+export const stripVideoMetadata = async (filePath, ext) => {
+  const outPath = `${filePath}.clean${ext}`;
+
+  try {
+    await run(FFMPEG, [
+      '-v', 'error',
+      '-i', filePath,
+      '-map', '0:v',
+      '-map', '0:a?',
+      '-map_metadata', '-1',
+      '-c', 'copy',
+      // Index up front so players can start before the whole file loads
+      ...(ext === '.webm' ? [] : ['-movflags', '+faststart']),
+      outPath,
+    ]);
+    return await fs.readFile(outPath);
+  } finally {
+    await fs.rm(outPath, { force: true });
+  }
+};